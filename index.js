@@ -16,9 +16,93 @@ import {
  *  - ✅ Vue特性支持 ：处理Vue指令、插值表达式等
  *  - ✅ 错误处理 ：提供详细的解析错误信息
  */
-import { parse } from '@vue/compiler-sfc';
+import { parse, babelParse, walk } from '@vue/compiler-sfc';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { builtinModules } from 'module';
+import { globSync, hasMagic } from 'glob';
+import { minimatch } from 'minimatch';
+
+/**
+ * 默认可解析的文件扩展名
+ */
+const DEFAULT_RESOLVE_EXTENSIONS = ['.vue', '.js', '.ts', '.jsx', '.tsx', '.css', '.scss', '.sass', '.less'];
+
+/**
+ * 工具参数的内置默认值
+ * 合并顺序（高 -> 低）：调用参数 > 项目配置文件 > 环境变量 > 内置默认值
+ */
+const DEFAULT_TOOL_OPTIONS = {
+  aliasConfig: {},
+  maxDepth: 10,
+  includeNodeModules: false,
+  includeAsync: true,
+  autoDetectAliases: true,
+  targetDir: 'output',
+  extensions: [],
+  storeEntry: null,
+  routerFiles: [],
+  exclude: [],
+  concurrency: 8,
+  cache: false,
+  cacheDir: 'node_modules/.cache/vue-parser',
+  conflictStrategy: 'overwrite',
+  renameSuffix: '.incoming',
+  pathMapping: {},
+  targetAliasConfig: null,
+  targetProject: null,
+};
+
+/**
+ * package.json中声明依赖的字段
+ */
+const PACKAGE_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * 搬迁复制时会改写其中引用路径的文件类型
+ */
+const REWRITABLE_EXTENSIONS = ['.vue', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.css', '.scss', '.sass', '.less'];
+
+/**
+ * 解析缓存文件名前缀：<prefix><configHash>.json，清理旧缓存时只删除带该前缀的文件
+ */
+const PARSE_CACHE_FILE_PREFIX = 'vue-parser-';
+
+/**
+ * 复制时目标文件已存在的处理策略
+ */
+const CONFLICT_STRATEGIES = ['overwrite', 'skip', 'skip-if-identical', 'rename-with-suffix', 'fail'];
+
+/**
+ * Vue实例内置的$属性，不作为全局属性跟踪；$route、$router、$store分别由路由与store分析处理
+ */
+const BUILTIN_INSTANCE_PROPERTIES = [
+  '$el', '$data', '$props', '$options', '$parent', '$root', '$children', '$refs', '$slots', '$scopedSlots',
+  '$attrs', '$listeners', '$emit', '$on', '$off', '$once', '$nextTick', '$watch', '$set', '$delete',
+  '$forceUpdate', '$mount', '$destroy', '$isServer', '$ssrContext', '$vnode', '$event', '$route', '$router', '$store',
+];
+
+/**
+ * 依赖图导出格式：tree为嵌套的依赖树，其余为扁平的依赖图
+ */
+const GRAPH_EXPORT_FORMATS = ['tree', 'json', 'mermaid', 'dot'];
+
+/**
+ * 依赖图中各类文件节点的颜色：[填充色, 文字颜色]
+ */
+const GRAPH_NODE_COLORS = {
+  vue: ['#42b883', '#ffffff'],
+  script: ['#f7df1e', '#000000'],
+  style: ['#264de4', '#ffffff'],
+  asset: ['#f39c12', '#000000'],
+  other: ['#bdc3c7', '#000000'],
+};
+
+/**
+ * 解析缓存格式版本，解析结果结构变化时递增以使旧缓存失效
+ */
+const PARSE_CACHE_VERSION = 8;
 
 /**
  * Vue文件解析MCP服务器
@@ -38,6 +122,13 @@ class VueParserServer {
       }
     );
 
+    // 自动检测的别名缓存：baseDir -> { signature, aliases }
+    this.aliasDetectionCache = new Map();
+    // 项目配置缓存：baseDir -> { signature, config }
+    this.projectConfigCache = new Map();
+    // Pinia store文件解析缓存：文件路径 -> { mtime, stores }
+    this.piniaStoreFileCache = new Map();
+
     this.setupToolHandlers();
     this.setupErrorHandling();
   }
@@ -61,7 +152,7 @@ class VueParserServer {
                 },
                 aliasConfig: {
                   type: 'object',
-                  description: '路径别名配置，如 {"@": "./src"}',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
                   default: {},
                 },
                 baseDir: {
@@ -69,6 +160,20 @@ class VueParserServer {
                   description: '项目根目录，用于解析相对路径',
                   default: process.cwd(),
                 },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+                targetProject: {
+                  type: 'string',
+                  description: '目标项目目录（包含package.json），传入后在externalPackages中列出目标项目缺少或版本范围不兼容的npm包',
+                },
+                writeRouteTodo: {
+                  type: 'boolean',
+                  description: '是否将找到的路由信息追加写入baseDir下的代办.md',
+                  default: false,
+                },
               },
               required: ['filePath'],
             },
@@ -81,11 +186,16 @@ class VueParserServer {
               properties: {
                 filePath: {
                   type: 'string',
-                  description: 'Vue文件的绝对路径或相对路径',
+                  description: 'Vue文件的绝对路径或相对路径，也可以是glob模式（如src/views/assets/**/index.vue）',
+                },
+                filePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: '多个入口文件路径或glob模式，与filePath合并后共用一个依赖图',
                 },
                 aliasConfig: {
                   type: 'object',
-                  description: '路径别名配置，如 {"@": "./src"}',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
                   default: {},
                 },
                 baseDir: {
@@ -93,13 +203,37 @@ class VueParserServer {
                   description: '项目根目录，用于解析相对路径',
                   default: process.cwd(),
                 },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+                targetProject: {
+                  type: 'string',
+                  description: '目标项目目录（包含package.json），传入后在externalPackages中列出目标项目缺少或版本范围不兼容的npm包',
+                },
                 maxDepth: {
                   type: 'number',
                   description: '最大递归深度，防止无限递归',
                   default: 10,
                 },
+                includeAsync: {
+                  type: 'boolean',
+                  description: '是否跟踪动态import()（异步组件、懒加载路由组件）依赖',
+                  default: true,
+                },
+                cache: {
+                  type: 'boolean',
+                  description: '是否使用磁盘解析缓存（默认存放于node_modules/.cache/vue-parser）',
+                  default: false,
+                },
+                format: {
+                  type: 'string',
+                  enum: GRAPH_EXPORT_FORMATS,
+                  description: '输出格式：tree为嵌套依赖树；json为扁平的{nodes, edges}；mermaid、dot为可直接粘贴的流程图（按目录分组、按文件类型着色）',
+                  default: 'tree',
+                },
               },
-              required: ['filePath'],
             },
           },
           {
@@ -110,15 +244,21 @@ class VueParserServer {
               properties: {
                 filePath: {
                   type: 'string',
-                  description: 'Vue文件的绝对路径或相对路径',
+                  description: 'Vue文件的绝对路径或相对路径，也可以是glob模式（如src/views/assets/**/index.vue）',
+                },
+                filePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: '多个入口文件路径或glob模式，与filePath合并后共用一个依赖图',
                 },
                 targetDir: {
                   type: 'string',
                   description: '目标目录路径',
+                  default: 'output',
                 },
                 aliasConfig: {
                   type: 'object',
-                  description: '路径别名配置，如 {"@": "./src"}',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
                   default: {},
                 },
                 baseDir: {
@@ -126,13 +266,283 @@ class VueParserServer {
                   description: '项目根目录，用于解析相对路径',
                   default: process.cwd(),
                 },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+                targetProject: {
+                  type: 'string',
+                  description: '目标项目目录（包含package.json），用于列出目标项目缺少或版本范围不兼容的npm包，默认为带有package.json的targetDir',
+                },
                 includeNodeModules: {
                   type: 'boolean',
                   description: '是否包含node_modules依赖',
                   default: false,
                 },
+                includeAsync: {
+                  type: 'boolean',
+                  description: '是否复制通过动态import()懒加载的依赖',
+                  default: true,
+                },
+                cache: {
+                  type: 'boolean',
+                  description: '是否使用磁盘解析缓存（默认存放于node_modules/.cache/vue-parser）',
+                  default: false,
+                },
+                pathMapping: {
+                  type: 'object',
+                  description: '搬迁规则：键为相对baseDir的源路径前缀，值为相对targetDir的目标路径，如 {"src/views/assets/unit": "src/modules/unit"}；传入后会改写复制文件中的引用路径',
+                  default: {},
+                },
+                targetAliasConfig: {
+                  type: 'object',
+                  description: '目标项目的路径别名，如 {"@": "src"}（相对targetDir）；传入后按目标项目的别名改写引用路径，默认从targetDir自动检测，检测不到时沿用源项目的别名',
+                },
+                conflictStrategy: {
+                  type: 'string',
+                  enum: CONFLICT_STRATEGIES,
+                  description: '目标文件已存在时的处理方式：overwrite覆盖；skip跳过；skip-if-identical内容相同时跳过、不同时覆盖；rename-with-suffix内容不同时写入带后缀的文件（如list.incoming.vue）；fail有内容不同的文件时终止且不写入任何文件',
+                  default: 'overwrite',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: '只返回复制计划（源文件与目标路径、大小、目标文件是否已存在及内容是否相同、无法解析的依赖），不写入任何文件',
+                  default: false,
+                },
+                writeRouteTodo: {
+                  type: 'boolean',
+                  description: '是否将找到的路由信息追加写入目标目录下的代办.md',
+                  default: false,
+                },
+              },
+            },
+          },
+          {
+            name: 'undo_copy',
+            description: '撤销一次copy_vue_dependencies复制：根据目标目录中的复制清单恢复被覆盖的文件、删除新建的文件，复制后被修改的文件不做处理',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                targetDir: {
+                  type: 'string',
+                  description: '复制时使用的目标目录（支持相对路径和绝对路径）',
+                  default: 'output',
+                },
+                baseDir: {
+                  type: 'string',
+                  description: '项目根目录，用于解析相对的targetDir',
+                  default: process.cwd(),
+                },
+                copyId: {
+                  type: 'string',
+                  description: '要撤销的复制记录ID（copy_vue_dependencies响应中的copyId），默认为最近一次尚未撤销的复制',
+                },
+                dryRun: {
+                  type: 'boolean',
+                  description: '只返回将要恢复和删除的文件，不做修改',
+                  default: false,
+                },
+              },
+            },
+          },
+          {
+            name: 'find_dependents',
+            description: '反向依赖查询：查找直接和间接引用指定文件的所有文件，并列出受影响的路由入口视图',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: '被引用文件的绝对路径或相对路径',
+                },
+                baseDir: {
+                  type: 'string',
+                  description: '项目根目录，将为该目录下的所有文件建立索引',
+                  default: process.cwd(),
+                },
+                aliasConfig: {
+                  type: 'object',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
+                  default: {},
+                },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+                maxDepth: {
+                  type: 'number',
+                  description: '向上查找的最大层数，默认不限制',
+                },
+                includeAsync: {
+                  type: 'boolean',
+                  description: '是否包含通过动态import()引用的文件',
+                  default: true,
+                },
+              },
+              required: ['filePath'],
+            },
+          },
+          {
+            name: 'find_unused_files',
+            description: '查找未使用的文件：从main入口、路由视图和指定的入口出发计算可达文件，报告源码目录下无法到达的源文件、样式和静态资源',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                baseDir: {
+                  type: 'string',
+                  description: '项目根目录',
+                  default: process.cwd(),
+                },
+                srcDir: {
+                  type: 'string',
+                  description: '需要检查的源码目录（相对于baseDir）',
+                  default: 'src',
+                },
+                entries: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: '额外的入口文件glob（相对于baseDir），如 ["src/plugins/*.js"]',
+                  default: [],
+                },
+                aliasConfig: {
+                  type: 'object',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
+                  default: {},
+                },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+              },
+            },
+          },
+          {
+            name: 'find_circular_dependencies',
+            description: '列出循环依赖：以有序链（A → B → C → A）返回每个环及每条依赖边对应的引用语句和行号，可检查整个项目或某个入口文件',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: '入口文件，只检查该文件的依赖树；不传时检查baseDir下的所有文件',
+                },
+                baseDir: {
+                  type: 'string',
+                  description: '项目根目录',
+                  default: process.cwd(),
+                },
+                aliasConfig: {
+                  type: 'object',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
+                  default: {},
+                },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+                maxDepth: {
+                  type: 'number',
+                  description: '传入filePath时依赖树的最大递归深度',
+                  default: 10,
+                },
+                includeAsync: {
+                  type: 'boolean',
+                  description: '是否包含通过动态import()形成的环',
+                  default: true,
+                },
+                maxCycles: {
+                  type: 'number',
+                  description: '检查整个项目时最多返回的环数量',
+                  default: 100,
+                },
+              },
+            },
+          },
+          {
+            name: 'find_shared_dependencies',
+            description: '拆分模块时的共享依赖分析：将一组入口文件与项目其他入口（默认为路由视图）可达的文件分为该组独占、与其他入口共享、只被其他入口使用三类',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: '要拆分的模块的入口文件路径或glob模式，如 ["src/views/assets/**/index.vue"]',
+                },
+                outsideEntries: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: '项目其他部分的入口文件路径或glob模式，默认为路由配置中不属于filePaths的全部视图组件',
+                },
+                baseDir: {
+                  type: 'string',
+                  description: '项目根目录',
+                  default: process.cwd(),
+                },
+                aliasConfig: {
+                  type: 'object',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
+                  default: {},
+                },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
+                maxDepth: {
+                  type: 'number',
+                  description: '从每个入口出发的最大递归深度',
+                  default: 10,
+                },
+                includeAsync: {
+                  type: 'boolean',
+                  description: '是否跟踪动态import()依赖',
+                  default: true,
+                },
+                cache: {
+                  type: 'boolean',
+                  description: '是否使用磁盘解析缓存（默认存放于node_modules/.cache/vue-parser）',
+                  default: false,
+                },
+              },
+              required: ['filePaths'],
+            },
+          },
+          {
+            name: 'list_routes',
+            description: '解析项目路由文件，返回结构化的路由记录（path、name、组件文件、meta、redirect、children及源码位置）',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                baseDir: {
+                  type: 'string',
+                  description: '项目根目录，用于解析相对路径',
+                  default: process.cwd(),
+                },
+                filePath: {
+                  type: 'string',
+                  description: '可选，只返回使用该组件文件的路由',
+                },
+                routerFiles: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: '路由文件或目录，未指定时在src下查找名称包含route的文件',
+                },
+                aliasConfig: {
+                  type: 'object',
+                  description: '路径别名配置，如 {"@": "./src"}，优先于自动检测到的别名',
+                  default: {},
+                },
+                autoDetectAliases: {
+                  type: 'boolean',
+                  description: '是否自动从tsconfig/jsconfig、vite.config、vue.config/webpack配置中读取别名',
+                  default: true,
+                },
               },
-              required: ['filePath', 'targetDir'],
             },
           },
         ],
@@ -149,6 +559,18 @@ class VueParserServer {
         return await this.analyzeDependencyTree(args);
       } else if (name === 'copy_vue_dependencies') {
         return await this.copyVueDependencies(args);
+      } else if (name === 'list_routes') {
+        return await this.listRoutes(args);
+      } else if (name === 'find_dependents') {
+        return await this.findDependents(args);
+      } else if (name === 'find_unused_files') {
+        return await this.findUnusedFiles(args);
+      } else if (name === 'find_circular_dependencies') {
+        return await this.findCircularDependencies(args);
+      } else if (name === 'undo_copy') {
+        return await this.undoCopy(args);
+      } else if (name === 'find_shared_dependencies') {
+        return await this.findSharedDependencies(args);
       }
 
       throw new McpError(
@@ -159,86 +581,161 @@ class VueParserServer {
   }
 
   /**
-   * 检测Vue文件中是否使用了vuex
+   * 检测脚本中的Vuex使用，并提取使用到的store模块路径
+   * 支持的用法：
+   *  - mapState/mapGetters/mapActions/mapMutations('a/b', ...)，以及数组、对象形式的'a/b/x'
+   *  - createNamespacedHelpers('a/b')
+   *  - this.$store / useStore() / import store from '@/store' 上的state.a.b、getters['a/b/x']、dispatch('a/b/x')、commit('a/b/x')
+   * usedModules中的路径可能比实际模块更长（如state.a.field），解析时取最长的已注册模块前缀；
+   * usages为每个模块路径第一次出现的行号
    */
-  detectVuexUsage(content) {
-    const vuexPatterns = [
-      // import { mapState, mapActions, mapMutations, mapGetters } from 'vuex'
-      /import\s+{[^}]*}\s+from\s+["']vuex["']/g,
-      // import Vuex from 'vuex'
-      /import\s+Vuex\s+from\s+["']vuex["']/g,
-      // this.$store
-      /this\.\$store/g,
-      // mapState, mapActions, etc usage
-      /\.\.\.mapState\(/g,
-      /\.\.\.mapActions\(/g,
-      /\.\.\.mapMutations\(/g,
-      /\.\.\.mapGetters\(/g
-    ];
-    
+  detectVuexUsage(content, lang = 'js', filename = '', startLine = 1) {
+    const usedModules = new Map();
     let hasVuex = false;
-    for (const pattern of vuexPatterns) {
-      if (pattern.test(content)) {
-        hasVuex = true;
-        break;
-      }
-    }
+    const ast = this.parseScriptAst(content, lang, filename, startLine);
 
-    // 如果检测到Vuex使用，直接提取使用的store模块
-    const usedModules = new Set();
-    if (hasVuex) {
-      // 匹配mapState, mapActions, mapMutations, mapGetters的使用
-      const mapPatterns = [
-        /\.\.\.mapState\(\s*["']([^"']+)["']/g,
-        /\.\.\.mapActions\(\s*["']([^"']+)["']/g,
-        /\.\.\.mapMutations\(\s*["']([^"']+)["']/g,
-        /\.\.\.mapGetters\(\s*["']([^"']+)["']/g
-      ];
-      
-      for (const pattern of mapPatterns) {
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-          usedModules.add(match[1]);
-        }
+    const mapHelpers = ['mapState', 'mapGetters', 'mapActions', 'mapMutations'];
+    // 绑定到store实例的标识符，以及createNamespacedHelpers解构出的辅助函数
+    const storeIdentifiers = new Set();
+    const isUseStoreCall = node => node && node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' && node.callee.name === 'useStore';
+    const isNamespacedHelpersCall = node => node && node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' && node.callee.name === 'createNamespacedHelpers';
+
+    const addNamespace = (namespace, line) => {
+      const modulePath = namespace.replace(/^\/+|\/+$/g, '');
+      if (modulePath && !usedModules.has(modulePath)) {
+        usedModules.set(modulePath, line);
       }
-      
-      // 匹配this.$store.state.moduleName的使用
-      const storeStatePattern = /this\.\$store\.state\.([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
-      let storeMatch;
-      while ((storeMatch = storeStatePattern.exec(content)) !== null) {
-        usedModules.add(storeMatch[1]);
+    };
+    // 'a/b/x' -> 'a/b'
+    const addTypePath = (type, line) => {
+      if (type && type.includes('/')) {
+        addNamespace(type.slice(0, type.lastIndexOf('/')), line);
       }
-      
-      // 匹配this.$store.dispatch('moduleName/action')的使用
-      const dispatchPattern = /this\.\$store\.dispatch\(\s*["']([^"'/]+)/g;
-      let dispatchMatch;
-      while ((dispatchMatch = dispatchPattern.exec(content)) !== null) {
-        usedModules.add(dispatchMatch[1]);
+    };
+
+    // 第一遍：收集store实例绑定
+    walk(ast.program, {
+      enter: (node) => {
+        if (node.type === 'ImportDeclaration') {
+          if (node.source.value === 'vuex') {
+            hasVuex = true;
+          } else if (/(^|\/)store(\/index)?(\.[jt]s)?$/.test(node.source.value)) {
+            node.specifiers
+              .filter(specifier => specifier.type === 'ImportDefaultSpecifier')
+              .forEach(specifier => storeIdentifiers.add(specifier.local.name));
+          }
+        } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isUseStoreCall(node.init)) {
+          storeIdentifiers.add(node.id.name);
+        } else if (node.type === 'VariableDeclarator' && isNamespacedHelpersCall(node.init)) {
+          hasVuex = true;
+          const namespace = this.getStaticString(node.init.arguments[0]);
+          if (namespace) {
+            addNamespace(namespace, node.loc.start.line);
+          }
+        }
+      },
+    });
+
+    // store引用：this.$store、xxx.$store或store实例标识符
+    const isStoreRef = (node) => {
+      if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+        return node.property.name === '$store';
       }
-      
-      // 匹配this.$store.commit('moduleName/mutation')的使用
-      const commitPattern = /this\.\$store\.commit\(\s*["']([^"'/]+)/g;
-      let commitMatch;
-      while ((commitMatch = commitPattern.exec(content)) !== null) {
-        usedModules.add(commitMatch[1]);
+      return node.type === 'Identifier' && storeIdentifiers.has(node.name);
+    };
+    const getPropertyName = (node) => {
+      if (!node.computed && node.property.type === 'Identifier') {
+        return node.property.name;
       }
-    }
-
-    return {
-      hasVuex,
-      usedModules: Array.from(usedModules)
+      return this.getStaticString(node.property);
     };
-  }
 
-  /**
-   * 查找store入口文件
-   */
-  findStoreEntry(baseDir) {
-    const possiblePaths = [
-      path.join(baseDir, 'src', 'store.js'),
-      path.join(baseDir, 'src', 'store', 'index.js'),
-      path.join(baseDir, 'src', 'stores', 'index.js'),
-      path.join(baseDir, 'store.js'),
+    // 第二遍：收集模块使用
+    walk(ast.program, {
+      enter: (node) => {
+        if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && mapHelpers.includes(node.callee.name)) {
+          const [firstArg] = node.arguments;
+          const namespace = this.getStaticString(firstArg);
+          if (namespace !== null) {
+            hasVuex = true;
+            addNamespace(namespace, node.loc.start.line);
+          } else if (firstArg && firstArg.type === 'ArrayExpression') {
+            hasVuex = true;
+            firstArg.elements.forEach(element => addTypePath(this.getStaticString(element), node.loc.start.line));
+          } else if (firstArg && firstArg.type === 'ObjectExpression') {
+            hasVuex = true;
+            firstArg.properties
+              .filter(property => property.type === 'ObjectProperty')
+              .forEach(property => addTypePath(this.getStaticString(property.value), node.loc.start.line));
+          }
+        } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && isStoreRef(node.callee.object)) {
+          // store.dispatch('a/b/x') / store.commit('a/b/x')
+          hasVuex = true;
+          if (['dispatch', 'commit'].includes(getPropertyName(node.callee))) {
+            addTypePath(this.getStaticString(node.arguments[0]), node.loc.start.line);
+          }
+        } else if (node.type === 'MemberExpression') {
+          // 展开属性链：this.$store.state.a.b -> root为this，chain为['$store', 'state', 'a', 'b']
+          const chain = [];
+          let root = node;
+          while (root.type === 'MemberExpression') {
+            chain.unshift(getPropertyName(root));
+            root = root.object;
+          }
+          let storeIndex = -1;
+          if (root.type === 'Identifier' && storeIdentifiers.has(root.name)) {
+            storeIndex = 0;
+          } else if (chain.includes('$store')) {
+            storeIndex = chain.indexOf('$store') + 1;
+          }
+          if (storeIndex === -1) {
+            return;
+          }
+
+          hasVuex = true;
+          const [rootName, ...rest] = chain.slice(storeIndex);
+          if (rootName === 'getters' && rest.length > 0) {
+            // store.getters['a/b/x']
+            addTypePath(rest[0], node.loc.start.line);
+          } else if (rootName === 'state' && rest.length > 0) {
+            // store.state.a.b.field，取到第一个非静态属性为止
+            const segments = [];
+            for (const segment of rest) {
+              if (!segment) break;
+              segments.push(segment);
+            }
+            addNamespace(segments.join('/'), node.loc.start.line);
+          }
+        }
+      },
+    });
+
+    return {
+      hasVuex,
+      usedModules: [...usedModules.keys()],
+      usages: [...usedModules].map(([namespace, line]) => ({ namespace, line }))
+    };
+  }
+
+  /**
+   * 查找store入口文件
+   * 配置了storeEntry时优先使用配置的位置
+   */
+  findStoreEntry(baseDir, storeEntry = null) {
+    if (storeEntry) {
+      const configuredEntry = this.resolveFileWithExtensions(this.resolvePath(storeEntry, baseDir));
+      if (configuredEntry) {
+        return configuredEntry;
+      }
+    }
+
+    const possiblePaths = [
+      path.join(baseDir, 'src', 'store.js'),
+      path.join(baseDir, 'src', 'store', 'index.js'),
+      path.join(baseDir, 'src', 'stores', 'index.js'),
+      path.join(baseDir, 'store.js'),
       path.join(baseDir, 'store', 'index.js')
     ];
 
@@ -251,296 +748,1330 @@ class VueParserServer {
   }
 
   /**
-   * 解析store入口文件，提取模块信息
+   * 构建Vuex模块路径到文件的映射，沿各store文件中的modules配置递归解析嵌套模块
+   * 返回Map：模块路径（如'a/b'） -> 定义该模块的文件
+   * modules的值可以是导入的模块、require()、同文件中的对象变量或内联对象，
+   * 也可以是通过require.context/import.meta.glob自动注册的模块集合
    */
-  parseStoreEntry(storeFilePath) {
-    const content = fs.readFileSync(storeFilePath, 'utf-8');
-    
-    // 匹配import语句
-    const importRegex = /import\s+([^\s]+)\s+from\s+["']([^"']+)["']/g;
-    const imports = [];
-    let match;
-    
-    while ((match = importRegex.exec(content)) !== null) {
-      imports.push({
-        variable: match[1],
-        path: match[2]
-      });
-    }
+  buildVuexModuleMap(storeFilePath, aliasConfig = {}, baseDir = path.dirname(storeFilePath)) {
+    const moduleMap = new Map();
+    const visitedFiles = new Set();
 
-    // 匹配modules配置
-    const modulesRegex = /modules:\s*{([^}]+)}/s;
-    const modulesMatch = content.match(modulesRegex);
-    const modules = {};
+    const resolveModuleFile = (request, fromFile) => {
+      const aliasedPath = this.resolveAlias(request, aliasConfig, baseDir);
+      const fullPath = path.isAbsolute(aliasedPath) ? aliasedPath : path.resolve(path.dirname(fromFile), aliasedPath);
+      return this.resolveFileWithExtensions(fullPath);
+    };
 
-    if (modulesMatch) {
-      const modulesContent = modulesMatch[1];
-      
-      // 先处理完整的 key: value 格式
-      const moduleRegex = /(\w+):\s*(\w+)/g;
-      let moduleMatch;
-      
-      while ((moduleMatch = moduleRegex.exec(modulesContent)) !== null) {
-        modules[moduleMatch[1]] = moduleMatch[2];
+    const visitFile = (filePath, prefix) => {
+      if (visitedFiles.has(filePath)) {
+        return;
       }
-      
-      // 处理ES6简写语法（如 currentUser, 相当于 currentUser: currentUser）
-      // 移除已匹配的 key: value 部分，然后查找剩余的简写模块
-      let remainingContent = modulesContent;
-      remainingContent = remainingContent.replace(/(\w+):\s*(\w+)/g, '');
-      
-      // 匹配简写的模块名（单独的标识符，后面跟逗号或空白）
-      const shorthandRegex = /\b(\w+)(?=\s*[,}])/g;
-      let shorthandMatch;
-      
-      while ((shorthandMatch = shorthandRegex.exec(remainingContent)) !== null) {
-        const moduleName = shorthandMatch[1];
-        // 排除已经处理过的模块和JavaScript关键字
-        if (!modules[moduleName] && !['modules', 'export', 'default', 'const', 'let', 'var'].includes(moduleName)) {
-          modules[moduleName] = moduleName; // 简写语法中，key和value相同
+      visitedFiles.add(filePath);
+
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const lang = path.extname(filePath).slice(1);
+      const ast = this.parseScriptAst(content, lang, filePath);
+
+      // 收集绑定：导入的模块、require()、顶层对象变量
+      const importBindings = new Map();
+      const objectBindings = new Map();
+      const getRequireSource = (node) => {
+        if (node && node.type === 'MemberExpression') {
+          node = node.object;
+        }
+        if (node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require') {
+          return this.getStaticString(node.arguments[0]);
+        }
+        return null;
+      };
+      for (const statement of ast.program.body) {
+        if (statement.type === 'ImportDeclaration') {
+          statement.specifiers.forEach(specifier => importBindings.set(specifier.local.name, statement.source.value));
+        } else if (statement.type === 'VariableDeclaration') {
+          statement.declarations
+            .filter(declarator => declarator.id.type === 'Identifier' && declarator.init)
+            .forEach(declarator => {
+              if (declarator.init.type === 'ObjectExpression') {
+                objectBindings.set(declarator.id.name, declarator.init);
+              } else if (getRequireSource(declarator.init)) {
+                importBindings.set(declarator.id.name, getRequireSource(declarator.init));
+              }
+            });
         }
       }
-    }
 
-    return { imports, modules };
+      // 自动注册的模块：模块名取相对于上下文目录、去掉扩展名的路径
+      const contextModules = {};
+      this.extractScriptDependencies(content, aliasConfig, baseDir, { lang, filename: filePath })
+        .filter(dep => dep.kind === 'context' || dep.kind === 'glob')
+        .forEach(dep => {
+          const relativePath = path.relative(dep.context.directory, dep.path).replace(/\\/g, '/');
+          const moduleName = relativePath.replace(/^(\.\.\/)*/, '').replace(/(\/index)?\.\w+$/, '');
+          if (moduleName && !contextModules[moduleName]) {
+            contextModules[moduleName] = dep.path;
+          }
+        });
+
+      const getKeyName = (property) => {
+        if (property.computed) {
+          return this.getStaticString(property.key);
+        }
+        return property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+      };
+      const findModulesProperty = (objectNode) => objectNode.properties.find(property =>
+        property.type === 'ObjectProperty' && getKeyName(property) === 'modules'
+      );
+
+      const collectModules = (modulesValue, modulePrefix) => {
+        if (modulesValue.type === 'Identifier') {
+          if (objectBindings.has(modulesValue.name)) {
+            collectModules(objectBindings.get(modulesValue.name), modulePrefix);
+          } else {
+            // modules由require.context等自动生成
+            Object.entries(contextModules).forEach(([moduleName, moduleFile]) => {
+              moduleMap.set(modulePrefix + moduleName, moduleFile);
+              visitFile(moduleFile, `${modulePrefix}${moduleName}/`);
+            });
+          }
+          return;
+        }
+        if (modulesValue.type !== 'ObjectExpression') {
+          return;
+        }
+
+        for (const property of modulesValue.properties) {
+          if (property.type !== 'ObjectProperty') {
+            continue;
+          }
+          const moduleName = getKeyName(property);
+          if (!moduleName) {
+            continue;
+          }
+          const modulePath = modulePrefix + moduleName;
+          const { value } = property;
+          const request = value.type === 'Identifier' ? importBindings.get(value.name) : getRequireSource(value);
+
+          if (request) {
+            const moduleFile = resolveModuleFile(request, filePath);
+            if (moduleFile) {
+              moduleMap.set(modulePath, moduleFile);
+              visitFile(moduleFile, `${modulePath}/`);
+            }
+          } else {
+            // 同文件中定义的模块
+            const moduleObject = value.type === 'Identifier' ? objectBindings.get(value.name) : value;
+            if (moduleObject && moduleObject.type === 'ObjectExpression') {
+              moduleMap.set(modulePath, filePath);
+              const nestedModules = findModulesProperty(moduleObject);
+              if (nestedModules) {
+                collectModules(nestedModules.value, `${modulePath}/`);
+              }
+            }
+          }
+        }
+      };
+
+      // 只处理最外层的modules配置，嵌套的modules由collectModules递归处理
+      walk(ast.program, {
+        enter(node) {
+          if (node.type === 'ObjectProperty' && getKeyName(node) === 'modules') {
+            collectModules(node.value, prefix);
+            this.skip();
+          }
+        },
+      });
+    };
+
+    try {
+      visitFile(storeFilePath, '');
+    } catch (error) {
+      console.error(`解析store模块时出错: ${error.message}`);
+    }
+    return moduleMap;
   }
 
   /**
-   * 查找模块对应的store文件
+   * 将使用到的模块路径解析为store文件
+   * 每个路径取最长的已注册模块前缀，同时包含其祖先模块的文件（注册子模块所必需）
    */
-  findModuleStoreFile(moduleName, storeInfo, baseDir, aliasConfig = {}) {
-    const { imports, modules } = storeInfo;
-    
-    // 找到模块对应的变量名
-    const moduleVariable = modules[moduleName];
-    if (!moduleVariable) {
-      return null;
+  resolveVuexModuleFiles(usedModules, moduleMap) {
+    const resolvedModules = new Map();
+    for (const usedPath of usedModules) {
+      const segments = usedPath.split('/');
+      for (let length = segments.length; length > 0; length--) {
+        const modulePath = segments.slice(0, length).join('/');
+        if (moduleMap.has(modulePath)) {
+          for (let ancestor = 1; ancestor <= length; ancestor++) {
+            const ancestorPath = segments.slice(0, ancestor).join('/');
+            if (moduleMap.has(ancestorPath)) {
+              resolvedModules.set(ancestorPath, moduleMap.get(ancestorPath));
+            }
+          }
+          break;
+        }
+      }
     }
+    return [...resolvedModules.entries()].map(([modulePath, file]) => ({ path: modulePath, file }));
+  }
+
+  /**
+   * 检测脚本中的Pinia使用
+   * usedStores为调用的use*Store组合式函数名（包括mapStores/mapState等选项式辅助函数的参数），usages为每个函数名第一次出现的行号
+   * Vuex 4的useStore()不计入
+   */
+  detectPiniaUsage(scriptContent, lang = 'js', filename = '', startLine = 1) {
+    const usedStores = new Map();
+    let importsPinia = false;
+    const isStoreComposable = name => /^use\w*Store$/.test(name) && name !== 'useStore';
+    const piniaHelpers = ['mapStores', 'mapState', 'mapWritableState', 'mapActions', 'mapGetters'];
+
+    const addStore = (name, line) => {
+      if (!usedStores.has(name)) {
+        usedStores.set(name, line);
+      }
+    };
 
-    // 找到变量对应的import路径
-    const importInfo = imports.find(imp => {
-      return imp.variable === moduleVariable
+    const ast = this.parseScriptAst(scriptContent, lang, filename, startLine);
+    walk(ast.program, {
+      enter: (node) => {
+        if (node.type === 'ImportDeclaration' && node.source.value === 'pinia') {
+          importsPinia = true;
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+          if (isStoreComposable(node.callee.name)) {
+            addStore(node.callee.name, node.loc.start.line);
+          } else if (piniaHelpers.includes(node.callee.name)) {
+            node.arguments
+              .filter(arg => arg.type === 'Identifier' && isStoreComposable(arg.name))
+              .forEach(arg => addStore(arg.name, node.loc.start.line));
+          }
+        }
+      },
     });
-    if (!importInfo) {
-      return null;
+
+    return {
+      importsPinia,
+      usedStores: [...usedStores.keys()],
+      usages: [...usedStores].map(([name, line]) => ({ name, line }))
+    };
+  }
+
+  /**
+   * 查找Pinia store所在目录
+   */
+  findPiniaStoreDirs(baseDir, storeEntry = null) {
+    const dirs = [
+      path.join(baseDir, 'src', 'stores'),
+      path.join(baseDir, 'src', 'store'),
+      path.join(baseDir, 'src', 'pinia'),
+      path.join(baseDir, 'stores'),
+      path.join(baseDir, 'store'),
+    ];
+    if (storeEntry) {
+      dirs.unshift(path.dirname(this.resolvePath(storeEntry, baseDir)));
     }
+    return [...new Set(dirs)].filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+  }
 
-    // 解析路径
-    let importPath = importInfo.path;
-    
-    // 处理别名路径
-    importPath = this.resolveAlias(importPath, aliasConfig, baseDir);
-    
-    // 尝试不同的文件扩展名
-    const possibleExtensions = ['.js', '.ts', '/index.js', '/index.ts'];
-    for (const ext of possibleExtensions) {
-      const fullPath = importPath + ext;
-      if (fs.existsSync(fullPath)) {
-        return fullPath;
-      }
+  /**
+   * 解析单个文件中的defineStore定义
+   * 返回 [{ name, id, file, usedStores }]，usedStores为该文件中调用的其他store
+   */
+  parsePiniaStoreFile(filePath) {
+    const fileInfo = this.checkFileExists(filePath);
+    const cached = this.piniaStoreFileCache.get(filePath);
+    if (cached && cached.mtime === fileInfo.mtime.getTime()) {
+      return cached.stores;
     }
 
-    // 尝试直接路径
-    if (fs.existsSync(importPath)) {
-      return importPath;
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const stores = [];
+    if (content.includes('defineStore')) {
+      const lang = path.extname(filePath).slice(1);
+      const ast = this.parseScriptAst(content, lang, filePath);
+      const { usedStores } = this.detectPiniaUsage(content, lang, filePath);
+
+      const getStoreId = (callNode) => {
+        const [firstArg] = callNode.arguments;
+        const id = this.getStaticString(firstArg);
+        if (id !== null) {
+          return id;
+        }
+        // defineStore({ id: 'user', ... })
+        if (firstArg && firstArg.type === 'ObjectExpression') {
+          const idProperty = firstArg.properties.find(property =>
+            property.type === 'ObjectProperty' && property.key.type === 'Identifier' && property.key.name === 'id'
+          );
+          return idProperty ? this.getStaticString(idProperty.value) : null;
+        }
+        return null;
+      };
+      const isDefineStoreCall = node => node && node.type === 'CallExpression' &&
+        node.callee.type === 'Identifier' && node.callee.name === 'defineStore';
+
+      walk(ast.program, {
+        enter: (node) => {
+          if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isDefineStoreCall(node.init)) {
+            stores.push({ name: node.id.name, id: getStoreId(node.init), file: filePath });
+          } else if (node.type === 'ExportDefaultDeclaration' && isDefineStoreCall(node.declaration)) {
+            stores.push({ name: null, id: getStoreId(node.declaration), file: filePath });
+          }
+        },
+      });
+
+      stores.forEach(store => {
+        store.usedStores = usedStores.filter(name => name !== store.name);
+      });
     }
 
-    return null;
+    this.piniaStoreFileCache.set(filePath, { mtime: fileInfo.mtime.getTime(), stores });
+    return stores;
   }
 
   /**
-   * 解析Vue文件依赖
+   * 建立Pinia store索引：组合式函数名 -> store定义
    */
-  async parseVueDependencies(args) {
-    try {
-      const { filePath, aliasConfig = {}, baseDir = process.cwd(), outputDir = null, findRoutes = false } = args;
+  buildPiniaStoreIndex(baseDir, storeEntry = null) {
+    const index = new Map();
+    for (const dir of this.findPiniaStoreDirs(baseDir, storeEntry)) {
+      for (const file of this.getAllFilesInDirectory(dir)) {
+        if (path.extname(file) === '.vue') {
+          continue;
+        }
+        try {
+          this.parsePiniaStoreFile(file)
+            .filter(store => store.name && !index.has(store.name))
+            .forEach(store => index.set(store.name, store));
+        } catch (error) {
+          console.error(`解析Pinia store文件 ${file} 时出错:`, error.message);
+        }
+      }
+    }
+    return index;
+  }
 
-      // 验证输入参数
-      if (!filePath) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          'filePath参数是必需的'
-        );
+  /**
+   * 根据调用的store组合式函数找到定义文件，并沿store之间的调用关系递归查找
+   * 间接使用的store附带via，为引入它的直接调用的store函数名
+   */
+  resolvePiniaStores(storeNames, piniaStoreIndex) {
+    const resolved = new Map();
+    const queue = storeNames.map(name => ({ name, via: name }));
+    while (queue.length > 0) {
+      const { name, via } = queue.shift();
+      if (resolved.has(name) || !piniaStoreIndex.has(name)) {
+        continue;
       }
+      const store = piniaStoreIndex.get(name);
+      const direct = storeNames.includes(name);
+      resolved.set(name, { name, id: store.id, file: store.file, direct, ...(direct ? {} : { via }) });
+      queue.push(...store.usedStores.map(usedName => ({ name: usedName, via })));
+    }
+    return [...resolved.values()];
+  }
 
-      // 解析文件路径
-      const resolvedPath = this.resolvePath(filePath, baseDir);
-      
-      // 检查文件是否存在
-      if (!fs.existsSync(resolvedPath)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `文件不存在: ${resolvedPath}`
-        );
+  /**
+   * 状态管理方案：vuex | pinia | both | none
+   */
+  getStateManagementType(hasVuex, hasPinia) {
+    if (hasVuex && hasPinia) {
+      return 'both';
+    }
+    if (hasVuex) {
+      return 'vuex';
+    }
+    return hasPinia ? 'pinia' : 'none';
+  }
+
+  /**
+   * 组件名统一为PascalCase（my-button、myButton -> MyButton），与Vue解析组件名的规则一致
+   */
+  getComponentName(name) {
+    const camelized = name.replace(/[-_]+(\w)/g, (match, char) => char.toUpperCase());
+    return camelized.charAt(0).toUpperCase() + camelized.slice(1);
+  }
+
+  /**
+   * 从template的AST中提取使用的自定义组件标签
+   * 返回 [{ tag, name, line }]，跳过内置组件；<component is="x">中的静态组件名同样计入
+   */
+  extractTemplateComponentTags(templateAst) {
+    const builtinComponents = new Set([
+      'Component', 'Transition', 'TransitionGroup', 'KeepAlive', 'Teleport', 'Suspense', 'RouterView', 'RouterLink',
+    ]);
+    const tags = new Map();
+    const addTag = (tag, line) => {
+      const name = this.getComponentName(tag);
+      if (!builtinComponents.has(name) && !tags.has(tag)) {
+        tags.set(tag, { tag, name, line });
       }
+    };
 
-      // 读取文件内容
-      const content = fs.readFileSync(resolvedPath, 'utf-8');
-      
-      // 检查文件类型
-      const isVueFile = path.extname(resolvedPath).toLowerCase() === '.vue';
-      let descriptor = null;
-      
-      if (isVueFile) {
-        // 使用@vue/compiler-sfc解析Vue文件
-        const parseResult = parse(content, {
-          filename: resolvedPath,
-        });
-        
-        if (parseResult.errors.length > 0) {
-          throw new McpError(
-            ErrorCode.InternalError,
-            `Vue文件解析错误 (${resolvedPath}): ${parseResult.errors.map(e => e.message).join(', ')}`
-          );
+    const visit = (node) => {
+      // tagType：0为原生元素，1为组件
+      if (node.type === 1 && node.tagType === 1) {
+        addTag(node.tag, node.loc.start.line);
+        const isProp = node.props.find(prop => prop.type === 6 && prop.name === 'is' && prop.value);
+        if (isProp && this.getComponentName(node.tag) === 'Component') {
+          addTag(isProp.value.content.replace(/^vue:/, ''), node.loc.start.line);
         }
-        
-        descriptor = parseResult.descriptor;
       }
+      (node.children || []).forEach(visit);
+    };
+    visit(templateAst);
+    return [...tags.values()];
+  }
 
-      // 提取依赖
-      const dependencies = {
-        template: [],
-        script: [],
-        style: [],
-        store: [],
-      };
+  /**
+   * 将组件的引用路径解析为文件，第三方包返回包名
+   */
+  resolveComponentRequest(request, fromFile, aliasConfig, baseDir) {
+    if (!this.isLocalFile(request, aliasConfig)) {
+      const packageInfo = this.parsePackageSpecifier(request, aliasConfig);
+      return packageInfo ? { file: null, package: packageInfo.name } : null;
+    }
+    const { actualFilePath } = this.resolveDependencyPath(request, fromFile, aliasConfig, baseDir);
+    return { file: actualFilePath, package: null };
+  }
 
-      // 检测vuex使用
-      const scriptContents = [];
-      if (isVueFile && descriptor) {
-        if (descriptor.script) {
-          scriptContents.push(descriptor.script.content);
-        }
-        if (descriptor.scriptSetup) {
-          scriptContents.push(descriptor.scriptSetup.content);
+  /**
+   * 从组件值的表达式中找到引用路径：导入的标识符、require()或异步组件中的import()
+   */
+  getComponentRequest(valueNode, importBindings) {
+    if (!valueNode) {
+      return null;
+    }
+    if (valueNode.type === 'Identifier') {
+      return importBindings.get(valueNode.name) || null;
+    }
+    if (valueNode.type === 'MemberExpression' && valueNode.object.type === 'Identifier') {
+      // import * as components from 'x' 后使用components.Foo
+      return importBindings.get(valueNode.object.name) || null;
+    }
+    let request = null;
+    walk(valueNode, {
+      enter(node) {
+        if (request !== null) {
+          this.skip();
+        } else if (node.type === 'ImportExpression' || (node.type === 'CallExpression' &&
+          (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require')))) {
+          const argument = node.type === 'ImportExpression' ? node.source : node.arguments[0];
+          if (argument && (argument.type === 'StringLiteral' ||
+            (argument.type === 'TemplateLiteral' && argument.expressions.length === 0))) {
+            request = argument.type === 'StringLiteral' ? argument.value : argument.quasis[0].value.cooked;
+          }
         }
-      } else if (!isVueFile) {
-        // 对于非Vue文件，直接使用文件内容作为script内容
-        scriptContents.push(content);
-      }
+      },
+    });
+    return request;
+  }
 
-      let hasVuex = false;
-      const allUsedModules = new Set();
-      for (const scriptContent of scriptContents) {
-        const vuexInfo = this.detectVuexUsage(scriptContent);
-        if (vuexInfo.hasVuex) {
-          hasVuex = true;
-          vuexInfo.usedModules.forEach(module => allUsedModules.add(module));
-        }
-      }
-      // 如果检测到vuex使用，分析store模块
-      if (hasVuex) {
-        const storeEntry = this.findStoreEntry(baseDir);
-        if (storeEntry) {
-          const storeInfo = this.parseStoreEntry(storeEntry);
-          
-          // 只查找被使用的模块的store文件
-          for (const moduleName of allUsedModules) {
-            if (storeInfo.modules[moduleName]) {
-              const moduleStoreFile = this.findModuleStoreFile(
-                moduleName, 
-                storeInfo, 
-                baseDir,
-                aliasConfig
-              );
-              if (moduleStoreFile && fs.existsSync(moduleStoreFile)) {
-                dependencies.store.push(moduleStoreFile);
+  /**
+   * 收集脚本AST中导入（import、require()）的标识符：局部名 -> 引用路径
+   */
+  collectImportBindings(ast) {
+    const importBindings = new Map();
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ImportDeclaration' && statement.importKind !== 'type') {
+        statement.specifiers.forEach(specifier => importBindings.set(specifier.local.name, statement.source.value));
+      } else if (statement.type === 'VariableDeclaration') {
+        statement.declarations
+          .filter(declarator => declarator.id.type === 'Identifier' && declarator.init)
+          .forEach(declarator => {
+            let init = declarator.init;
+            if (init.type === 'MemberExpression') {
+              init = init.object;
+            }
+            if (init.type === 'CallExpression' && init.callee.type === 'Identifier' && init.callee.name === 'require') {
+              const request = this.getStaticString(init.arguments[0]);
+              if (request !== null) {
+                importBindings.set(declarator.id.name, request);
               }
             }
-          }
-        }
+          });
       }
-      if (isVueFile && descriptor) {
-        // 解析template部分的依赖
-        if (descriptor.template) {
-          dependencies.template = this.extractTemplateDependencies(
-            descriptor.template.content,
-            aliasConfig,
-            baseDir
-          );
-        }
-
-        // 解析script部分的依赖
-        if (descriptor.script) {
-          dependencies.script = this.extractScriptDependencies(
-            descriptor.script.content,
-            aliasConfig,
-            baseDir
-          );
-        }
+    }
+    return importBindings;
+  }
 
-        // 解析script setup部分的依赖
-        if (descriptor.scriptSetup) {
-          const setupDeps = this.extractScriptDependencies(
-            descriptor.scriptSetup.content,
-            aliasConfig,
-            baseDir
-          );
-          dependencies.script = [...dependencies.script, ...setupDeps];
-        }
-
-        // 解析style部分的依赖
-        if (descriptor.styles && descriptor.styles.length > 0) {
-          descriptor.styles.forEach(style => {
-            const styleDeps = this.extractStyleDependencies(
-              style.content,
-              aliasConfig,
-              baseDir
-            );
-            dependencies.style = [...dependencies.style, ...styleDeps];
+  /**
+   * 收集Vue文件中局部注册的组件、指令与过滤器
+   * 组件：components选项中的组件，以及<script setup>中导入的标识符；
+   * 指令：directives选项，以及<script setup>中以v开头命名的变量（vFocus -> v-focus）；过滤器：filters选项
+   * 返回 { components, directives, filters }，均为Map：名称（PascalCase） -> 引用路径（同文件中定义的为null）
+   */
+  collectLocalRegistrations(descriptor, filename) {
+    const registrations = { components: new Map(), directives: new Map(), filters: new Map() };
+    const getKeyName = (property) => {
+      if (property.computed) {
+        return this.getStaticString(property.key);
+      }
+      return property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+    };
+    [descriptor.script, descriptor.scriptSetup].forEach(block => {
+      if (!block) {
+        return;
+      }
+      const ast = this.parseScriptAst(block.content, block.lang || 'js', filename);
+      const importBindings = this.collectImportBindings(ast);
+      if (block === descriptor.scriptSetup) {
+        importBindings.forEach((request, localName) => {
+          registrations.components.set(this.getComponentName(localName), request);
+        });
+        const setupBindings = [...importBindings.keys()];
+        ast.program.body
+          .filter(statement => statement.type === 'VariableDeclaration')
+          .forEach(statement => statement.declarations
+            .filter(declarator => declarator.id.type === 'Identifier')
+            .forEach(declarator => setupBindings.push(declarator.id.name)));
+        setupBindings
+          .filter(localName => /^v[A-Z]/.test(localName))
+          .forEach(localName => {
+            registrations.directives.set(this.getComponentName(localName.slice(1)), importBindings.get(localName) || null);
           });
-        }
-      } else if (!isVueFile) {
-        // 对于非Vue文件，根据文件扩展名处理
-        const ext = path.extname(resolvedPath).toLowerCase();
-        if (['.js', '.ts', '.jsx', '.tsx'].includes(ext)) {
-          // JavaScript/TypeScript文件，解析script依赖
-          dependencies.script = this.extractScriptDependencies(
-            content,
-            aliasConfig,
-            baseDir
-          );
-        } else if (['.css', '.scss', '.sass', '.less'].includes(ext)) {
-          // 样式文件，解析style依赖
-          dependencies.style = this.extractStyleDependencies(
-            content,
-            aliasConfig,
-            baseDir
-          );
-        }
+        return;
       }
 
-      // 去重
-      Object.keys(dependencies).forEach(key => {
-        dependencies[key] = [...new Set(dependencies[key])];
+      walk(ast.program, {
+        enter: (node) => {
+          if (node.type !== 'ObjectProperty' || node.computed || node.value.type !== 'ObjectExpression') {
+            return;
+          }
+          const optionName = getKeyName(node);
+          if (!['components', 'directives', 'filters'].includes(optionName)) {
+            return;
+          }
+          const registry = registrations[optionName];
+          node.value.properties
+            .filter(property => property.type === 'ObjectProperty' || property.type === 'ObjectMethod')
+            .forEach(property => {
+              const name = getKeyName(property);
+              if (name) {
+                const request = property.type === 'ObjectProperty'
+                  ? this.getComponentRequest(property.value, importBindings)
+                  : null;
+                registry.set(this.getComponentName(name), request);
+              }
+            });
+        },
       });
+    });
+    return registrations;
+  }
 
-      // 查找并保存路由信息到代办.md（仅当findRoutes为true时）
-      if (findRoutes) {
-        try {
-          const routeInfo = await this.findRouteInfo(resolvedPath, baseDir, aliasConfig);
-          await this.saveRouteInfoToTodo(routeInfo, resolvedPath, baseDir, outputDir);
-        } catch (error) {
-          console.error('处理路由信息时出错:', error.message);
+  /**
+   * 读取组件选项中的name（export default { name }、defineComponent({ name })、defineOptions({ name })）
+   */
+  readComponentNameOption(filePath) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const blocks = [];
+      if (path.extname(filePath) === '.vue') {
+        const { descriptor } = parse(content, { filename: filePath });
+        [descriptor.script, descriptor.scriptSetup]
+          .filter(Boolean)
+          .forEach(block => blocks.push({ content: block.content, lang: block.lang || 'js' }));
+      } else {
+        blocks.push({ content, lang: path.extname(filePath).slice(1) });
+      }
+
+      const getNameProperty = (objectNode) => {
+        if (!objectNode || objectNode.type !== 'ObjectExpression') {
+          return null;
+        }
+        const property = objectNode.properties.find(item =>
+          item.type === 'ObjectProperty' && !item.computed && item.key.type === 'Identifier' && item.key.name === 'name'
+        );
+        return property ? this.getStaticString(property.value) : null;
+      };
+      for (const block of blocks) {
+        const ast = this.parseScriptAst(block.content, block.lang, filePath);
+        let name = null;
+        walk(ast.program, {
+          enter(node) {
+            if (name !== null) {
+              this.skip();
+            } else if (node.type === 'ExportDefaultDeclaration') {
+              const { declaration } = node;
+              name = getNameProperty(declaration.type === 'CallExpression' ? declaration.arguments[0] : declaration);
+            } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+              node.callee.name === 'defineOptions') {
+              name = getNameProperty(node.arguments[0]);
+            }
+          },
+        });
+        if (name) {
+          return name;
         }
       }
+    } catch (error) {
+      console.error(`读取组件名称 ${filePath} 时出错:`, error.message);
+    }
+    return null;
+  }
 
-      return {
-        content: [
-          {
+  /**
+   * 根据文件名推断组件名：SvgIcon/index.vue -> SvgIcon，svg-icon.vue -> svg-icon
+   */
+  getComponentNameFromFile(filePath) {
+    const baseName = path.basename(filePath, path.extname(filePath));
+    return baseName === 'index' ? path.basename(path.dirname(filePath)) : baseName;
+  }
+
+  /**
+   * 应用入口文件（全局组件在这里注册）的候选位置
+   */
+  getAppEntryCandidates(baseDir) {
+    return ['main.js', 'main.ts', 'main.jsx', 'main.tsx'].flatMap(file => [
+      path.join(baseDir, 'src', file),
+      path.join(baseDir, file),
+    ]);
+  }
+
+  /**
+   * 自动导入工具（unplugin-vue-components等）生成的组件声明文件的候选位置
+   */
+  getComponentManifestCandidates(baseDir) {
+    return [
+      path.join(baseDir, 'components.d.ts'),
+      path.join(baseDir, 'src', 'components.d.ts'),
+      path.join(baseDir, 'types', 'components.d.ts'),
+      path.join(baseDir, 'src', 'types', 'components.d.ts'),
+    ];
+  }
+
+  /**
+   * 解析components.d.ts中的GlobalComponents接口
+   * 如 HelloWorld: typeof import('./src/components/HelloWorld.vue')['default']
+   * 返回 [{ name, request, line }]，request相对于声明文件所在目录
+   */
+  parseComponentManifest(manifestPath) {
+    const content = fs.readFileSync(manifestPath, 'utf-8');
+    const ast = this.parseScriptAst(content, 'ts', manifestPath);
+    const entries = [];
+    walk(ast.program, {
+      enter: (node) => {
+        if (node.type !== 'TSInterfaceDeclaration' || node.id.name !== 'GlobalComponents') {
+          return;
+        }
+        node.body.body
+          .filter(member => member.type === 'TSPropertySignature' && member.typeAnnotation)
+          .forEach(member => {
+            const name = member.key.type === 'Identifier' ? member.key.name : this.getStaticString(member.key);
+            let request = null;
+            walk(member.typeAnnotation, {
+              enter: (typeNode) => {
+                if (request === null && typeNode.type === 'TSImportType') {
+                  const argument = typeNode.argument.type === 'TSLiteralType' ? typeNode.argument.literal : typeNode.argument;
+                  request = this.getStaticString(argument);
+                }
+              },
+            });
+            if (name && request) {
+              entries.push({ name, request, line: member.loc.start.line });
+            }
+          });
+      },
+    });
+    return entries;
+  }
+
+  /**
+   * 列出模块的导出：[{ name, request }]，request为再导出或导出的导入标识符的引用路径，模块内定义的为null
+   * export default的对象字面量按属性展开（如export default { currency, dateFormat }）
+   */
+  getModuleExports(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const ast = this.parseScriptAst(content, path.extname(filePath).slice(1), filePath);
+    const importBindings = this.collectImportBindings(ast);
+    const exports = [];
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ExportNamedDeclaration' && statement.exportKind !== 'type') {
+        const { declaration } = statement;
+        if (declaration && declaration.id) {
+          exports.push({ name: declaration.id.name, request: null });
+        } else if (declaration && declaration.type === 'VariableDeclaration') {
+          declaration.declarations
+            .filter(declarator => declarator.id.type === 'Identifier')
+            .forEach(declarator => exports.push({ name: declarator.id.name, request: null }));
+        }
+        statement.specifiers
+          .filter(specifier => specifier.type === 'ExportSpecifier')
+          .forEach(specifier => {
+            const name = specifier.exported.type === 'Identifier' ? specifier.exported.name : specifier.exported.value;
+            const request = statement.source ? statement.source.value : (importBindings.get(specifier.local.name) || null);
+            exports.push({ name, request });
+          });
+      } else if (statement.type === 'ExportDefaultDeclaration' && statement.declaration.type === 'ObjectExpression') {
+        statement.declaration.properties
+          .filter(property => (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') &&
+            !property.computed && property.key.type === 'Identifier')
+          .forEach(property => {
+            const request = property.type === 'ObjectProperty'
+              ? this.getComponentRequest(property.value, importBindings)
+              : null;
+            exports.push({ name: property.key.name, request });
+          });
+      }
+    }
+    return exports;
+  }
+
+  /**
+   * 建立全局注册索引：components、directives、filters均为Map：名称（PascalCase） ->
+   * { name, file, package, registration, registeredIn, line }，file为定义该组件、指令或过滤器的文件
+   * 从应用入口出发，沿.use()的本地插件和无绑定的本地导入查找app.component()/directive()/filter()与Vue.*的注册；
+   * 名称不是静态字符串的批量注册（如Object.keys(directives).forEach(...)）按遍历的对象或模块导出展开，
+   * 无法确定遍历对象时，组件按name选项或文件名注册require.context/import.meta.glob匹配的.vue文件，指令与过滤器按文件名注册。
+   * 自动导入的组件取自components.d.ts，优先级低于显式注册。
+   * properties：Vue.prototype.$x、app.config.globalProperties.$x上安装的属性；provides：app.provide()提供的注入键，
+   * 两者均为Map：属性名或注入键 -> { name, file, package, installedAs, registeredIn, line, inline, plugin }，plugin为安装它的本地插件文件，
+   * 值在安装处就地创建（不是导入的模块）时inline为true且file为null；
+   * plugins：所有.use()安装的插件，opaque表示无法从源码中看出插件安装了什么（npm包或未显式注册任何内容的本地插件）。
+   * sources为索引依赖的文件和目录，用于缓存失效判断
+   */
+  buildGlobalRegistrationIndex(baseDir, aliasConfig = {}) {
+    const index = {
+      components: new Map(),
+      directives: new Map(),
+      filters: new Map(),
+      properties: new Map(),
+      provides: new Map(),
+      plugins: [],
+    };
+    const registryNames = { component: 'components', directive: 'directives', filter: 'filters' };
+    const sources = new Set([...this.getAppEntryCandidates(baseDir), ...this.getComponentManifestCandidates(baseDir)]);
+    const visitedFiles = new Set();
+    const scriptExtensions = ['.js', '.ts', '.jsx', '.tsx', '.mjs'];
+
+    const register = (method, name, target, registration, registeredIn, line) => {
+      const registry = index[registryNames[method]];
+      const key = this.getComponentName(name);
+      if (target && !registry.has(key)) {
+        registry.set(key, { name, file: target.file, package: target.package, registration, registeredIn, line });
+      }
+    };
+    const install = (registry, name, target, installedAs, registeredIn, line, plugin) => {
+      if (!registry.has(name)) {
+        registry.set(name, {
+          name,
+          file: target.file,
+          package: target.package,
+          installedAs,
+          registeredIn,
+          line,
+          ...(target.inline ? { inline: true } : {}),
+          ...(plugin ? { plugin } : {}),
+        });
+      }
+    };
+    // 批量注册的组件只接受.vue文件，未指定名称时取name选项或文件名
+    const registerFile = (method, file, registeredIn, line, name = null) => {
+      if (method !== 'component') {
+        register(method, name || this.getComponentNameFromFile(file), { file, package: null }, 'global', registeredIn, line);
+      } else if (path.extname(file) === '.vue') {
+        register(method, name || this.readComponentNameOption(file) || this.getComponentNameFromFile(file),
+          { file, package: null }, 'global', registeredIn, line);
+      }
+    };
+
+    // plugin为经由.use()进入的本地插件文件，副作用导入沿用导入方的plugin
+    const visitFile = (filePath, plugin = null) => {
+      if (!filePath || visitedFiles.has(filePath) || !scriptExtensions.includes(path.extname(filePath))) {
+        return;
+      }
+      visitedFiles.add(filePath);
+      sources.add(filePath);
+
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const lang = path.extname(filePath).slice(1);
+      const ast = this.parseScriptAst(content, lang, filePath);
+      const importBindings = this.collectImportBindings(ast);
+      const objectBindings = new Map();
+      ast.program.body
+        .filter(statement => statement.type === 'VariableDeclaration')
+        .forEach(statement => statement.declarations
+          .filter(declarator => declarator.id.type === 'Identifier' && declarator.init &&
+            declarator.init.type === 'ObjectExpression')
+          .forEach(declarator => objectBindings.set(declarator.id.name, declarator.init)));
+      const resolveRequest = request => this.resolveComponentRequest(request, filePath, aliasConfig, baseDir);
+      // 同文件中定义的组件、指令或过滤器，定义文件即注册文件
+      const resolveValue = (valueNode) => {
+        const request = this.getComponentRequest(valueNode, importBindings);
+        return request ? resolveRequest(request) : { file: filePath, package: null };
+      };
+      // 全局属性与注入的值只有来自导入的模块时才有定义文件；就地创建的值（如new Vue()、字符串）只记录安装位置，
+      // 否则应用入口会被当作依赖，进而引入整个应用
+      const resolveInstalledValue = (valueNode) => {
+        const request = this.getComponentRequest(valueNode, importBindings);
+        return request ? resolveRequest(request) : { file: null, package: null, inline: true };
+      };
+      const pluginFiles = [];
+      const dynamicRegistrations = [];
+      // 属性挂载的位置：X.prototype为prototype，X.config.globalProperties为globalProperties
+      const getPropertyHost = (objectNode) => {
+        if (objectNode.type !== 'MemberExpression' || objectNode.computed || objectNode.property.type !== 'Identifier') {
+          return null;
+        }
+        return ['prototype', 'globalProperties'].includes(objectNode.property.name) ? objectNode.property.name : null;
+      };
+
+      // 展开批量注册中遍历的对象：同文件中的对象字面量，或导入模块的导出
+      const expandCollection = (method, collectionName, line) => {
+        if (objectBindings.has(collectionName)) {
+          objectBindings.get(collectionName).properties
+            .filter(property => (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') && !property.computed)
+            .forEach(property => {
+              const name = property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+              const target = property.type === 'ObjectProperty' ? resolveValue(property.value) : { file: filePath, package: null };
+              if (name && target.file) {
+                registerFile(method, target.file, filePath, line, name);
+              }
+            });
+          return true;
+        }
+        const request = importBindings.get(collectionName);
+        const moduleTarget = request ? resolveRequest(request) : null;
+        if (!moduleTarget || !moduleTarget.file) {
+          return false;
+        }
+        sources.add(moduleTarget.file);
+        this.getModuleExports(moduleTarget.file).forEach(({ name, request: exportRequest }) => {
+          const target = exportRequest
+            ? this.resolveComponentRequest(exportRequest, moduleTarget.file, aliasConfig, baseDir)
+            : { file: moduleTarget.file, package: null };
+          if (target && target.file) {
+            registerFile(method, target.file, filePath, line, name);
+          }
+        });
+        return true;
+      };
+
+      walk(ast.program, {
+        enter: (node) => {
+          if (node.type === 'ImportDeclaration' && node.specifiers.length === 0 &&
+            this.isLocalFile(node.source.value, aliasConfig)) {
+            // import './directives' 等副作用导入
+            pluginFiles.push({ request: node.source.value, usePlugin: false });
+            return;
+          }
+          if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+            // Vue.prototype.$api = api / app.config.globalProperties.$http = http
+            const installedAs = getPropertyHost(node.left.object);
+            const name = node.left.computed ? this.getStaticString(node.left.property) : node.left.property.name;
+            if (installedAs && name) {
+              install(index.properties, name, resolveInstalledValue(node.right), installedAs, filePath, node.loc.start.line, plugin);
+            }
+            return;
+          }
+          if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+            node.callee.property.type !== 'Identifier') {
+            return;
+          }
+          const method = node.callee.property.name;
+          const [nameNode, valueNode] = node.arguments;
+          if (method === 'assign' && nameNode && getPropertyHost(nameNode) && valueNode &&
+            valueNode.type === 'ObjectExpression') {
+            // Object.assign(app.config.globalProperties, { $api, $http: http })
+            valueNode.properties
+              .filter(property => (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') && !property.computed)
+              .forEach(property => {
+                const name = property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+                const target = property.type === 'ObjectProperty'
+                  ? resolveInstalledValue(property.value)
+                  : { file: null, package: null, inline: true };
+                if (name) {
+                  install(index.properties, name, target, getPropertyHost(nameNode), filePath, property.loc.start.line, plugin);
+                }
+              });
+          } else if (method === 'provide' && nameNode && valueNode) {
+            // app.provide('key', value)，Symbol键按标识符名记录
+            const key = nameNode.type === 'Identifier' ? nameNode.name : this.getStaticString(nameNode);
+            if (key) {
+              install(index.provides, key, resolveInstalledValue(valueNode), 'provide', filePath, node.loc.start.line, plugin);
+            }
+          } else if (method === 'use' && nameNode) {
+            const request = this.getComponentRequest(nameNode, importBindings);
+            const target = request ? resolveRequest(request) : null;
+            const pluginRecord = {
+              name: nameNode.type === 'Identifier' ? nameNode.name : (request || null),
+              file: target ? target.file : null,
+              package: target ? target.package : null,
+              registeredIn: filePath,
+              line: node.loc.start.line,
+            };
+            index.plugins.push(pluginRecord);
+            if (request && this.isLocalFile(request, aliasConfig)) {
+              pluginFiles.push({ request, usePlugin: true });
+            }
+          } else if (Object.keys(registryNames).includes(method) && valueNode) {
+            const target = resolveValue(valueNode);
+            let name = this.getStaticString(nameNode);
+            // app.component(Comp.name, Comp)
+            if (name === null && method === 'component' && target.file && target.file !== filePath &&
+              nameNode.type === 'MemberExpression' && !nameNode.computed && nameNode.property.name === 'name') {
+              name = this.readComponentNameOption(target.file) || this.getComponentNameFromFile(target.file);
+            }
+            if (name !== null) {
+              register(method, name, target, 'global', filePath, node.loc.start.line);
+            } else {
+              // Vue.directive(key, directives[key])
+              const collectionName = valueNode.type === 'MemberExpression' && valueNode.computed &&
+                valueNode.object.type === 'Identifier' ? valueNode.object.name : null;
+              dynamicRegistrations.push({ method, collectionName, line: node.loc.start.line });
+            }
+          }
+        },
+      });
+
+      const unexpanded = dynamicRegistrations.filter(({ method, collectionName, line }) =>
+        !collectionName || !expandCollection(method, collectionName, line));
+      for (const method of new Set(unexpanded.map(item => item.method))) {
+        // 批量注册：require.context/import.meta.glob匹配的文件
+        this.extractScriptDependencies(content, aliasConfig, baseDir, { lang, filename: filePath })
+          .filter(dep => dep.kind === 'context' || dep.kind === 'glob')
+          .forEach(dep => {
+            sources.add(dep.context.directory);
+            registerFile(method, dep.path, filePath, dep.line);
+          });
+        if (method !== 'component') {
+          continue;
+        }
+        // 批量注册：组件对象或数组中的导入组件
+        walk(ast.program, {
+          enter: (node) => {
+            if (node.type === 'ObjectExpression') {
+              node.properties
+                .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier' &&
+                  importBindings.has(property.value.name))
+                .forEach(property => {
+                  const target = resolveRequest(importBindings.get(property.value.name));
+                  const name = property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+                  if (target && target.file && name) {
+                    registerFile(method, target.file, filePath, property.loc.start.line, name);
+                  }
+                });
+            } else if (node.type === 'ArrayExpression') {
+              node.elements
+                .filter(element => element && element.type === 'Identifier' && importBindings.has(element.name))
+                .forEach(element => {
+                  const target = resolveRequest(importBindings.get(element.name));
+                  if (target && target.file) {
+                    registerFile(method, target.file, filePath, element.loc.start.line);
+                  }
+                });
+            }
+          },
+        });
+      }
+
+      pluginFiles.forEach(({ request, usePlugin }) => {
+        const target = resolveRequest(request);
+        const file = target && target.file;
+        visitFile(file, usePlugin ? file : plugin);
+      });
+    };
+
+    for (const entryFile of this.getAppEntryCandidates(baseDir).filter(file => fs.existsSync(file))) {
+      try {
+        visitFile(entryFile);
+      } catch (error) {
+        console.error(`解析全局注册 ${entryFile} 时出错:`, error.message);
+      }
+    }
+
+    for (const manifestPath of this.getComponentManifestCandidates(baseDir).filter(file => fs.existsSync(file))) {
+      try {
+        this.parseComponentManifest(manifestPath).forEach(({ name, request, line }) => {
+          register('component', name, this.resolveComponentRequest(request, manifestPath, aliasConfig, baseDir),
+            'auto-import', manifestPath, line);
+        });
+      } catch (error) {
+        console.error(`解析组件声明文件 ${manifestPath} 时出错:`, error.message);
+      }
+    }
+
+    // 从源码中看不出安装了什么的插件，供无法解析的全局属性参考
+    const installedFiles = new Set([
+      ...[index.components, index.directives, index.filters].flatMap(registry => [...registry.values()].map(item => item.registeredIn)),
+      ...[index.properties, index.provides].flatMap(registry => [...registry.values()].map(item => item.plugin || item.registeredIn)),
+    ]);
+    index.plugins.forEach(pluginRecord => {
+      pluginRecord.opaque = !pluginRecord.file || !installedFiles.has(pluginRecord.file);
+    });
+
+    return { ...index, sources: [...sources] };
+  }
+
+  /**
+   * 从template的AST中提取使用的自定义指令：[{ name, line }]，name为去掉v-前缀的指令名
+   */
+  extractTemplateDirectives(templateAst) {
+    const builtinDirectives = new Set([
+      'bind', 'on', 'if', 'else', 'else-if', 'for', 'show', 'model', 'slot', 'html', 'text', 'once', 'pre', 'memo', 'cloak', 'is',
+    ]);
+    const directives = new Map();
+    const visit = (node) => {
+      if (node.type === 1) {
+        node.props
+          .filter(prop => prop.type === 7 && !builtinDirectives.has(prop.name) && !directives.has(prop.name))
+          .forEach(prop => directives.set(prop.name, { name: prop.name, line: prop.loc.start.line }));
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(templateAst);
+    return [...directives.values()];
+  }
+
+  /**
+   * 提取Vue 2过滤器表达式中的过滤器名：price | currency('¥') | round -> ['currency', 'round']
+   * 跳过字符串、括号内的内容以及||
+   */
+  getExpressionFilters(expression) {
+    const segments = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < expression.length; i++) {
+      const char = expression[i];
+      if (quote) {
+        if (char === quote && expression[i - 1] !== '\\') {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+      } else if (char === '|' && depth === 0 && expression[i + 1] !== '|' && expression[i - 1] !== '|') {
+        segments.push(expression.slice(start, i));
+        start = i + 1;
+      }
+    }
+    segments.push(expression.slice(start));
+    return segments.slice(1)
+      .map(segment => segment.trim().match(/^[A-Za-z_$][\w$]*/))
+      .filter(Boolean)
+      .map(match => match[0]);
+  }
+
+  /**
+   * 从template的AST中提取使用的过滤器（插值与v-bind表达式）：[{ name, line }]
+   */
+  extractTemplateFilters(templateAst) {
+    const filters = new Map();
+    const addFilters = (expression, line) => {
+      this.getExpressionFilters(expression)
+        .filter(name => !filters.has(name))
+        .forEach(name => filters.set(name, { name, line }));
+    };
+    const visit = (node) => {
+      if (node.type === 5 && node.content.content) {
+        addFilters(node.content.content, node.loc.start.line);
+      } else if (node.type === 1) {
+        node.props
+          .filter(prop => prop.type === 7 && prop.name === 'bind' && prop.exp)
+          .forEach(prop => addFilters(prop.exp.content, prop.loc.start.line));
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(templateAst);
+    return [...filters.values()];
+  }
+
+  /**
+   * 解析template中使用的组件、指令与过滤器对应的注册与源文件
+   * registration：local（组件选项或<script setup>中注册）| global（app.component()/directive()/filter()等全局注册）|
+   * auto-import（components.d.ts，仅组件）| unresolved
+   * 返回 { components, directives, filters }
+   */
+  resolveTemplateAssets(descriptor, filePath, aliasConfig, baseDir, globalRegistrationIndex) {
+    const localRegistrations = this.collectLocalRegistrations(descriptor, filePath);
+    const templateAst = descriptor.template.ast;
+    const resolveAsset = (type, key, usage) => {
+      const localRegistry = localRegistrations[type];
+      if (localRegistry.has(key)) {
+        const request = localRegistry.get(key);
+        const target = request ? this.resolveComponentRequest(request, filePath, aliasConfig, baseDir) : null;
+        return {
+          ...usage,
+          registration: 'local',
+          file: target ? target.file : (request ? null : filePath),
+          ...(target && target.package ? { package: target.package } : {}),
+          source: request,
+        };
+      }
+      const globalAsset = globalRegistrationIndex[type].get(key);
+      if (globalAsset) {
+        return {
+          ...usage,
+          registration: globalAsset.registration,
+          file: globalAsset.file,
+          ...(globalAsset.package ? { package: globalAsset.package } : {}),
+          registeredIn: globalAsset.registeredIn,
+          registeredLine: globalAsset.line,
+        };
+      }
+      return { ...usage, registration: 'unresolved', file: null };
+    };
+
+    return {
+      // <Foo.Bar>只能来自<script setup>中的命名空间导入
+      components: this.extractTemplateComponentTags(templateAst).map(({ tag, name, line }) =>
+        resolveAsset('components', this.getComponentName(tag.split('.')[0]), { tag, name, line })
+      ),
+      directives: this.extractTemplateDirectives(templateAst).map(({ name, line }) =>
+        resolveAsset('directives', this.getComponentName(name), { name, line })
+      ),
+      filters: this.extractTemplateFilters(templateAst).map(({ name, line }) =>
+        resolveAsset('filters', this.getComponentName(name), { name, line })
+      ),
+    };
+  }
+
+  /**
+   * 检测脚本中使用的全局属性与注入
+   * properties：this.$x、proxy.$x、globalProperties.$x形式访问的属性（不含Vue实例内置属性）；
+   * injects：inject('key')调用与inject选项（数组或对象形式，对象形式取from）中的注入键
+   */
+  detectGlobalUsage(scriptContent, lang = 'js', filename = '', startLine = 1) {
+    const properties = new Map();
+    const injects = new Map();
+    const addInject = (key, line) => {
+      if (key && !injects.has(key)) {
+        injects.set(key, { key, line });
+      }
+    };
+    const getPropertyVia = (objectNode) => {
+      if (objectNode.type === 'ThisExpression') {
+        return 'this';
+      }
+      if (objectNode.type === 'Identifier' && objectNode.name === 'proxy') {
+        return 'proxy';
+      }
+      if (objectNode.type === 'MemberExpression' && !objectNode.computed && objectNode.property.type === 'Identifier' &&
+        ['proxy', 'globalProperties'].includes(objectNode.property.name)) {
+        return objectNode.property.name;
+      }
+      return null;
+    };
+
+    const ast = this.parseScriptAst(scriptContent, lang, filename, startLine);
+    walk(ast.program, {
+      enter: (node) => {
+        if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier' &&
+          node.property.name.startsWith('$') && !BUILTIN_INSTANCE_PROPERTIES.includes(node.property.name)) {
+          const via = getPropertyVia(node.object);
+          if (via && !properties.has(node.property.name)) {
+            properties.set(node.property.name, { name: node.property.name, via, line: node.loc.start.line });
+          }
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'inject' &&
+          node.arguments[0]) {
+          const [keyNode] = node.arguments;
+          addInject(keyNode.type === 'Identifier' ? keyNode.name : this.getStaticString(keyNode), node.loc.start.line);
+        } else if (node.type === 'ObjectProperty' && !node.computed && node.key.type === 'Identifier' &&
+          node.key.name === 'inject') {
+          if (node.value.type === 'ArrayExpression') {
+            node.value.elements.forEach(element => addInject(this.getStaticString(element), node.loc.start.line));
+          } else if (node.value.type === 'ObjectExpression') {
+            node.value.properties
+              .filter(property => property.type === 'ObjectProperty' && !property.computed)
+              .forEach(property => {
+                const localKey = property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+                let key = this.getStaticString(property.value);
+                if (property.value.type === 'ObjectExpression') {
+                  const fromProperty = property.value.properties.find(item =>
+                    item.type === 'ObjectProperty' && !item.computed && item.key.type === 'Identifier' && item.key.name === 'from'
+                  );
+                  key = fromProperty ? this.getStaticString(fromProperty.value) : null;
+                }
+                addInject(key || localKey, property.loc.start.line);
+              });
+          }
+        }
+      },
+    });
+
+    return { properties: [...properties.values()], injects: [...injects.values()] };
+  }
+
+  /**
+   * 从template的AST中提取表达式里直接使用的全局属性，如{{ $t('title') }}、@click="$message.success()"
+   */
+  extractTemplateGlobalProperties(templateAst) {
+    const properties = new Map();
+    const addProperties = (expression, line) => {
+      for (const match of expression.matchAll(/(?<![\w$.])\$[A-Za-z_][\w$]*/g)) {
+        if (!BUILTIN_INSTANCE_PROPERTIES.includes(match[0]) && !properties.has(match[0])) {
+          properties.set(match[0], { name: match[0], via: 'template', line });
+        }
+      }
+    };
+    const visit = (node) => {
+      if (node.type === 5 && node.content.content) {
+        addProperties(node.content.content, node.loc.start.line);
+      } else if (node.type === 1) {
+        node.props
+          .filter(prop => prop.type === 7 && prop.exp)
+          .forEach(prop => addProperties(prop.exp.content, prop.loc.start.line));
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(templateAst);
+    return [...properties.values()];
+  }
+
+  /**
+   * 将使用的全局属性与注入键匹配到应用入口或插件中的安装位置
+   * 返回 [{ type: property | inject, name, via, line, registration: global | unresolved, installedAs, file, package,
+   * registeredIn, registeredLine, inline, plugin }]；inline表示值在安装处就地创建，没有定义文件，只有file不为null时才作为global依赖；
+   * 无法解析的属性附带candidatePlugins，列出可能安装它的插件。
+   * 注入键也可能由祖先组件provide，找不到时同样为unresolved
+   */
+  resolveGlobalUsages(properties, injects, globalRegistrationIndex) {
+    const candidatePlugins = [...new Set(globalRegistrationIndex.plugins
+      .filter(pluginRecord => pluginRecord.opaque)
+      .map(pluginRecord => pluginRecord.package || pluginRecord.name)
+      .filter(Boolean))];
+    const resolveUsage = (registry, usage) => {
+      const installed = registry.get(usage.name);
+      if (!installed) {
+        return {
+          ...usage,
+          registration: 'unresolved',
+          file: null,
+          ...(usage.type === 'property' && candidatePlugins.length > 0 ? { candidatePlugins } : {}),
+        };
+      }
+      return {
+        ...usage,
+        registration: 'global',
+        installedAs: installed.installedAs,
+        file: installed.file,
+        ...(installed.package ? { package: installed.package } : {}),
+        registeredIn: installed.registeredIn,
+        registeredLine: installed.line,
+        ...(installed.inline ? { inline: true } : {}),
+        ...(installed.plugin ? { plugin: installed.plugin } : {}),
+      };
+    };
+    return [
+      ...properties.map(({ name, via, line }) =>
+        resolveUsage(globalRegistrationIndex.properties, { type: 'property', name, via, line })),
+      ...injects.map(({ key, line }) =>
+        resolveUsage(globalRegistrationIndex.provides, { type: 'inject', name: key, via: 'inject', line })),
+    ];
+  }
+
+  /**
+   * 解析Vue文件依赖
+   */
+  async parseVueDependencies(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const {
+        filePath,
+        aliasConfig: explicitAliasConfig,
+        baseDir,
+        outputDir = null,
+        findRoutes = false,
+        writeRouteTodo = false,
+        autoDetectAliases,
+        targetProject
+      } = options;
+
+      // 验证输入参数
+      if (!filePath) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'filePath参数是必需的'
+        );
+      }
+
+      // 合并自动检测的别名
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+
+      // 解析文件路径
+      const resolvedPath = this.resolvePath(filePath, baseDir);
+      
+      // 检查文件是否存在
+      if (!fs.existsSync(resolvedPath)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `文件不存在: ${resolvedPath}`
+        );
+      }
+
+      const analysis = await this.analyzeFile(resolvedPath, aliasConfig, baseDir, options);
+      const { dependencies, dynamicCandidates } = analysis;
+      const externalPackages = this.buildExternalPackages(
+        [{ file: resolvedPath, packageImports: analysis.packageImports }],
+        baseDir,
+        targetProject ? this.resolvePath(targetProject, baseDir) : null
+      );
+
+      // 查找使用该文件的路由（仅当findRoutes为true时），写入代办.md需显式开启writeRouteTodo
+      let routes = [];
+      if (findRoutes) {
+        try {
+          routes = this.findRoutesForFile(resolvedPath, baseDir, aliasConfig, options.routerFiles);
+          if (writeRouteTodo) {
+            await this.saveRouteInfoToTodo(routes, resolvedPath, baseDir, outputDir);
+          }
+        } catch (error) {
+          console.error('处理路由信息时出错:', error.message);
+        }
+      }
+
+      return {
+        content: [
+          {
             type: 'text',
             text: JSON.stringify({
               success: true,
               filePath: resolvedPath,
               dependencies,
-              hasVuex,
-              usedStoreModules: Array.from(allUsedModules),
+              scriptImports: analysis.scriptImports,
+              templateImports: analysis.templateImports,
+              styleImports: analysis.styleImports,
+              storeImports: analysis.storeImports,
+              dynamicCandidates,
+              templateComponents: analysis.templateComponents,
+              templateDirectives: analysis.templateDirectives,
+              templateFilters: analysis.templateFilters,
+              globalUsages: analysis.globalUsages,
+              externalPackages,
+              aliases,
+              hasVuex: analysis.hasVuex,
+              usedStoreModules: analysis.usedStoreModules,
+              vuexModules: analysis.vuexModules,
+              ...(findRoutes ? { routes } : {}),
+              hasPinia: analysis.hasPinia,
+              usedPiniaStores: analysis.usedPiniaStores,
+              stateManagement: analysis.stateManagement,
               summary: {
-                totalFiles: dependencies.template.length + dependencies.script.length + dependencies.style.length,
+                totalFiles: dependencies.template.length + dependencies.component.length + dependencies.directive.length +
+                  dependencies.filter.length + dependencies.global.length + dependencies.script.length + dependencies.style.length,
                 templateFiles: dependencies.template.length,
+                componentFiles: dependencies.component.length,
+                directiveFiles: dependencies.directive.length,
+                filterFiles: dependencies.filter.length,
+                globalFiles: dependencies.global.length,
                 scriptFiles: dependencies.script.length,
                 styleFiles: dependencies.style.length,
                 storeFiles: dependencies.store.length,
+                asyncFiles: dependencies.async.length,
+                dynamicCandidateFiles: dynamicCandidates.reduce((sum, group) => sum + group.files.length, 0),
+                templateComponents: analysis.templateComponents.length,
+                unresolvedComponents: analysis.templateComponents.filter(item => item.registration === 'unresolved').length,
+                templateDirectives: analysis.templateDirectives.length,
+                unresolvedDirectives: analysis.templateDirectives.filter(item => item.registration === 'unresolved').length,
+                templateFilters: analysis.templateFilters.length,
+                unresolvedFilters: analysis.templateFilters.filter(item => item.registration === 'unresolved').length,
+                globalUsages: analysis.globalUsages.length,
+                unresolvedGlobals: analysis.globalUsages.filter(item => item.registration === 'unresolved').length,
+                ...this.getExternalPackageStats(externalPackages),
               },
             }, null, 2),
           },
@@ -574,454 +2105,4611 @@ class VueParserServer {
   }
 
   /**
-   * 查找并解析路由信息
+   * 解析单个文件的依赖（不做参数校验与JSON序列化，供依赖图等内部流程直接调用）
+   * requestCache用于在同一次请求中复用store模块映射、Pinia store索引等结果
+   */
+  async analyzeFile(resolvedPath, aliasConfig, baseDir, options = {}) {
+    const { requestCache = null } = options;
+
+    // 读取文件内容
+    const content = await fs.promises.readFile(resolvedPath, 'utf-8');
+    
+    // 检查文件类型
+    const isVueFile = path.extname(resolvedPath).toLowerCase() === '.vue';
+    let descriptor = null;
+    
+    if (isVueFile) {
+      // 使用@vue/compiler-sfc解析Vue文件
+      const parseResult = parse(content, {
+        filename: resolvedPath,
+      });
+      
+      if (parseResult.errors.length > 0) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Vue文件解析错误 (${resolvedPath}): ${parseResult.errors.map(e => e.message).join(', ')}`
+        );
+      }
+      
+      descriptor = parseResult.descriptor;
+    }
+
+    // 提取依赖
+    const dependencies = {
+      template: [],
+      component: [],
+      directive: [],
+      filter: [],
+      global: [],
+      script: [],
+      style: [],
+      store: [],
+      async: [],
+    };
+    // script依赖的详细信息（类型、行列号）
+    const scriptImports = [];
+    // template与style中引用的文件及其所在行
+    const templateImports = [];
+    const styleImports = [];
+    // template中部分动态路径展开的候选文件
+    const templateCandidates = [];
+    // template中使用的组件、指令、过滤器及其注册来源
+    let templateComponents = [];
+    let templateDirectives = [];
+    let templateFilters = [];
+
+    // 可进行AST分析的脚本块（用于Vuex、Pinia检测）
+    const scriptBlocks = [];
+    if (isVueFile && descriptor) {
+      [descriptor.script, descriptor.scriptSetup].filter(Boolean).forEach(block => {
+        scriptBlocks.push({ content: block.content, lang: block.lang || 'js', startLine: block.loc.start.line });
+      });
+    } else if (!isVueFile) {
+      // 对于非Vue文件，直接使用文件内容作为script内容
+      const ext = path.extname(resolvedPath).toLowerCase();
+      if (['.js', '.ts', '.jsx', '.tsx'].includes(ext)) {
+        scriptBlocks.push({ content, lang: ext.slice(1), startLine: 1 });
+      }
+    }
+
+    // store依赖的引用位置：Vuex模块取使用到的命名空间，Pinia store取调用的use*Store函数
+    const storeImports = [];
+    let hasVuex = false;
+    const allUsedModules = new Set();
+    const vuexUsages = [];
+    for (const block of scriptBlocks) {
+      const vuexInfo = this.detectVuexUsage(block.content, block.lang, resolvedPath, block.startLine);
+      if (vuexInfo.hasVuex) {
+        hasVuex = true;
+        vuexInfo.usedModules.forEach(module => allUsedModules.add(module));
+        vuexUsages.push(...vuexInfo.usages);
+      }
+    }
+    // 如果检测到vuex使用，沿store入口的modules配置解析使用到的（嵌套）模块文件
+    const usedVuexModules = [];
+    if (hasVuex && allUsedModules.size > 0) {
+      const storeEntry = this.findStoreEntry(baseDir, options.storeEntry);
+      if (storeEntry) {
+        const moduleMap = this.getCachedValue(requestCache, `vuex:${storeEntry}`,
+          () => this.buildVuexModuleMap(storeEntry, aliasConfig, baseDir));
+        for (const vuexModule of this.resolveVuexModuleFiles([...allUsedModules], moduleMap)) {
+          usedVuexModules.push(vuexModule);
+          if (vuexModule.file !== storeEntry && vuexModule.file !== resolvedPath) {
+            dependencies.store.push(vuexModule.file);
+            // 祖先模块定位到其子模块的使用位置
+            const usage = vuexUsages.find(item =>
+              item.namespace === vuexModule.path || item.namespace.startsWith(`${vuexModule.path}/`));
+            storeImports.push({ path: vuexModule.file, source: usage.namespace, kind: 'vuex', line: usage.line });
+          }
+        }
+      }
+    }
+
+    // 检测pinia使用：use*Store()调用、storeToRefs、mapStores等
+    let importsPinia = false;
+    const calledStores = new Map();
+    for (const block of scriptBlocks) {
+      const piniaInfo = this.detectPiniaUsage(block.content, block.lang, resolvedPath, block.startLine);
+      importsPinia = importsPinia || piniaInfo.importsPinia;
+      piniaInfo.usages
+        .filter(usage => !calledStores.has(usage.name))
+        .forEach(usage => calledStores.set(usage.name, usage.line));
+    }
+    const usedPiniaStores = [];
+    if (calledStores.size > 0) {
+      const piniaStoreIndex = this.getCachedValue(requestCache, `pinia:${baseDir}`,
+        () => this.buildPiniaStoreIndex(baseDir, options.storeEntry));
+      for (const store of this.resolvePiniaStores([...calledStores.keys()], piniaStoreIndex)) {
+        usedPiniaStores.push(store);
+        if (store.file !== resolvedPath) {
+          dependencies.store.push(store.file);
+          // 间接使用的store定位到引入它的直接调用
+          const source = store.direct ? store.name : store.via;
+          storeImports.push({ path: store.file, source, kind: 'pinia', line: calledStores.get(source) });
+        }
+      }
+    }
+    const hasPinia = importsPinia || usedPiniaStores.length > 0;
+
+    // 使用的全局属性（this.$x等）与注入键
+    const usedGlobalProperties = new Map();
+    const usedInjects = new Map();
+    for (const block of scriptBlocks) {
+      const globalUsage = this.detectGlobalUsage(block.content, block.lang, resolvedPath, block.startLine);
+      globalUsage.properties
+        .filter(property => !usedGlobalProperties.has(property.name))
+        .forEach(property => usedGlobalProperties.set(property.name, property));
+      globalUsage.injects
+        .filter(inject => !usedInjects.has(inject.key))
+        .forEach(inject => usedInjects.set(inject.key, inject));
+    }
+    const getGlobalRegistrationIndex = () => this.getCachedValue(requestCache, `globals:${baseDir}`,
+      () => this.buildGlobalRegistrationIndex(baseDir, aliasConfig));
+    if (isVueFile && descriptor) {
+      // 解析template部分的依赖
+      if (descriptor.template) {
+        templateImports.push(...this.extractTemplateDependencies(
+          descriptor.template.content,
+          aliasConfig,
+          baseDir,
+          { startLine: descriptor.template.loc.start.line }
+        ));
+        templateCandidates.push(...this.extractTemplateDynamicDependencies(
+          descriptor.template.content,
+          aliasConfig,
+          baseDir,
+          { filename: resolvedPath, startLine: descriptor.template.loc.start.line }
+        ));
+        templateImports.push(...templateCandidates);
+        dependencies.template = templateImports.map(dep => dep.path);
+
+        // 模板中使用的组件、指令与过滤器：局部注册的已有script依赖，全局注册和自动导入的按类型作为依赖
+        if (descriptor.template.ast) {
+          const templateAssets = this.resolveTemplateAssets(
+            descriptor, resolvedPath, aliasConfig, baseDir, getGlobalRegistrationIndex()
+          );
+          templateComponents = templateAssets.components;
+          templateDirectives = templateAssets.directives;
+          templateFilters = templateAssets.filters;
+          const getGlobalFiles = items => items
+            .filter(item => item.registration !== 'local' && item.file && item.file !== resolvedPath)
+            .map(item => item.file);
+          dependencies.component = getGlobalFiles(templateComponents);
+          dependencies.directive = getGlobalFiles(templateDirectives);
+          dependencies.filter = getGlobalFiles(templateFilters);
+          this.extractTemplateGlobalProperties(descriptor.template.ast)
+            .filter(property => !usedGlobalProperties.has(property.name))
+            .forEach(property => usedGlobalProperties.set(property.name, property));
+        }
+      }
+
+      // 解析script与script setup部分的依赖
+      [descriptor.script, descriptor.scriptSetup].forEach(block => {
+        if (!block) {
+          return;
+        }
+        const blockImports = this.extractScriptDependencies(
+          block.content,
+          aliasConfig,
+          baseDir,
+          { lang: block.lang || 'js', filename: resolvedPath, startLine: block.loc.start.line }
+        );
+        scriptImports.push(...blockImports);
+      });
+
+      // 解析style部分的依赖
+      if (descriptor.styles && descriptor.styles.length > 0) {
+        descriptor.styles.forEach(style => {
+          styleImports.push(...this.extractStyleDependencies(
+            style.content,
+            aliasConfig,
+            baseDir,
+            { startLine: style.loc.start.line }
+          ));
+        });
+      }
+    } else if (!isVueFile) {
+      // 对于非Vue文件，根据文件扩展名处理
+      const ext = path.extname(resolvedPath).toLowerCase();
+      if (['.js', '.ts', '.jsx', '.tsx'].includes(ext)) {
+        // JavaScript/TypeScript文件，解析script依赖
+        scriptImports.push(...this.extractScriptDependencies(
+          content,
+          aliasConfig,
+          baseDir,
+          { lang: ext.slice(1), filename: resolvedPath }
+        ));
+      } else if (['.css', '.scss', '.sass', '.less'].includes(ext)) {
+        // 样式文件，解析style依赖
+        styleImports.push(...this.extractStyleDependencies(
+          content,
+          aliasConfig,
+          baseDir
+        ));
+      }
+    }
+    dependencies.style = styleImports.map(dep => dep.path);
+
+    // 全局属性与注入键的定义模块作为global依赖
+    let globalUsages = [];
+    if (usedGlobalProperties.size + usedInjects.size > 0) {
+      globalUsages = this.resolveGlobalUsages(
+        [...usedGlobalProperties.values()], [...usedInjects.values()], getGlobalRegistrationIndex()
+      );
+      dependencies.global = globalUsages
+        .filter(item => item.file && item.file !== resolvedPath)
+        .map(item => item.file);
+    }
+    const globalRegistrationSources =
+      templateComponents.length + templateDirectives.length + templateFilters.length + globalUsages.length > 0
+        ? getGlobalRegistrationIndex().sources
+        : [];
+
+    // 动态import()（异步组件、懒加载组件）单独归入async依赖
+    dependencies.script = scriptImports
+      .filter(dep => !this.isAsyncImport(dep))
+      .map(dep => dep.path);
+    dependencies.async = scriptImports
+      .filter(dep => this.isAsyncImport(dep))
+      .map(dep => dep.path);
+    const dynamicCandidates = [
+      ...this.groupDynamicCandidates(templateCandidates, 'template'),
+      ...this.groupDynamicCandidates(scriptImports, 'script'),
+    ];
+
+    // 去重
+    Object.keys(dependencies).forEach(key => {
+      dependencies[key] = [...new Set(dependencies[key])];
+    });
+
+    return {
+      dependencies,
+      scriptImports,
+      templateImports,
+      styleImports,
+      storeImports,
+      dynamicCandidates,
+      templateComponents,
+      templateDirectives,
+      templateFilters,
+      globalUsages,
+      globalRegistrationSources,
+      packageImports: this.extractPackageImports(content, resolvedPath, aliasConfig, descriptor),
+      hasVuex,
+      usedStoreModules: Array.from(allUsedModules),
+      vuexModules: usedVuexModules,
+      hasPinia,
+      usedPiniaStores,
+      stateManagement: this.getStateManagementType(hasVuex, hasPinia),
+    };
+  }
+
+  /**
+   * 从请求级缓存中获取值，不存在时创建；未提供缓存时直接创建
+   */
+  getCachedValue(cache, key, create) {
+    if (!cache) {
+      return create();
+    }
+    if (!cache.has(key)) {
+      cache.set(key, create());
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * 查找路由文件
+   * 配置了routerFiles时只使用配置的文件/目录，否则在src下查找名称包含route的文件和文件夹
+   */
+  findRouteFiles(baseDir, routerFiles = []) {
+    if (routerFiles.length > 0) {
+      return this.resolveConfiguredRouterFiles(routerFiles, baseDir)
+        .filter(file => path.extname(file) !== '.vue');
+    }
+
+    const srcDir = path.join(baseDir, 'src');
+    const findInDirectory = (dir) => {
+      const files = [];
+      if (!fs.existsSync(dir)) return files;
+
+      try {
+        const items = fs.readdirSync(dir);
+        for (const item of items) {
+          const fullPath = path.join(dir, item);
+          const stat = fs.statSync(fullPath);
+
+          if (stat.isDirectory()) {
+            // 如果是疑似route的文件夹，查找该文件夹下的所有文件
+            if (item.toLowerCase().includes('route')) {
+              files.push(...this.getAllFilesInDirectory(fullPath));
+            } else {
+              // 继续递归查找其他目录
+              files.push(...findInDirectory(fullPath));
+            }
+          } else if (stat.isFile()) {
+            const fileName = path.basename(item, path.extname(item));
+            if (fileName.toLowerCase().includes('route')) {
+              files.push(fullPath);
+            }
+          }
+        }
+      } catch (error) {
+        // 忽略无法访问的目录
+      }
+      return files;
+    };
+
+    return findInDirectory(srcDir).filter(file => ['.js', '.ts', '.jsx', '.tsx'].includes(path.extname(file)));
+  }
+
+  /**
+   * 将配置的路由文件/目录展开为文件列表
+   */
+  resolveConfiguredRouterFiles(routerFiles, baseDir) {
+    const files = [];
+    for (const routerFile of routerFiles) {
+      const resolved = this.resolvePath(routerFile, baseDir);
+      const fileInfo = this.checkFileExists(resolved);
+      if (fileInfo.exists && fileInfo.isDirectory) {
+        files.push(...this.getAllFilesInDirectory(resolved));
+      } else if (fileInfo.exists && fileInfo.isFile) {
+        files.push(resolved);
+      }
+    }
+    return [...new Set(files)];
+  }
+
+  /**
+   * 静态计算简单的字面量值（用于路由的meta、redirect等）
+   * 无法静态计算的部分以 { expression: 源码 } 表示
+   */
+  evaluateStaticValue(node, code) {
+    const staticString = this.getStaticString(node);
+    if (staticString !== null) {
+      return staticString;
+    }
+    switch (node.type) {
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'UnaryExpression':
+        if (node.operator === '-' && node.argument.type === 'NumericLiteral') {
+          return -node.argument.value;
+        }
+        if (node.operator === '!' && node.argument.type === 'NumericLiteral') {
+          return !node.argument.value;
+        }
+        break;
+      case 'ArrayExpression':
+        return node.elements.map(element => (element ? this.evaluateStaticValue(element, code) : null));
+      case 'ObjectExpression': {
+        const result = {};
+        for (const property of node.properties) {
+          if (property.type !== 'ObjectProperty') {
+            return { expression: code.slice(node.start, node.end) };
+          }
+          const key = !property.computed && property.key.type === 'Identifier'
+            ? property.key.name
+            : this.getStaticString(property.key);
+          if (key === null) {
+            return { expression: code.slice(node.start, node.end) };
+          }
+          result[key] = this.evaluateStaticValue(property.value, code);
+        }
+        return result;
+      }
+    }
+    return { expression: code.slice(node.start, node.end) };
+  }
+
+  /**
+   * 在函数体中查找第一个import()/require()的静态路径
+   * 支持 () => import('x')、resolve => require(['x'], resolve)
+   */
+  findLazyImportSource(functionNode) {
+    let source = null;
+    walk(functionNode, {
+      enter: (node) => {
+        if (source !== null || node.type !== 'CallExpression') {
+          return;
+        }
+        const isImport = node.callee.type === 'Import';
+        const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+        if (!isImport && !isRequire) {
+          return;
+        }
+        const [firstArg] = node.arguments;
+        if (firstArg && firstArg.type === 'ArrayExpression') {
+          source = this.getStaticString(firstArg.elements[0]);
+        } else {
+          source = this.getStaticString(firstArg);
+        }
+      },
+    });
+    return source;
+  }
+
+  /**
+   * 解析路由文件，返回结构化的路由记录（树形，children嵌套）
+   * 每条记录包含：path、fullPath、name、component、meta、redirect、children、routeFile、loc
+   */
+  parseRouteFile(routeFilePath, aliasConfig = {}, baseDir) {
+    const code = fs.readFileSync(routeFilePath, 'utf-8');
+    const lang = path.extname(routeFilePath).slice(1);
+    const ast = this.parseScriptAst(code, lang, routeFilePath);
+
+    // 组件绑定：静态导入、const X = () => import()、const X = require()
+    const componentBindings = new Map();
+    // 同文件中定义的路由数组，用于解析 children: childRoutes
+    const arrayBindings = new Map();
+    const isFunctionNode = node => node && ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type);
+    for (const statement of ast.program.body) {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (!declaration) {
+        continue;
+      }
+      if (declaration.type === 'ImportDeclaration') {
+        declaration.specifiers.forEach(specifier => {
+          componentBindings.set(specifier.local.name, { source: declaration.source.value, lazy: false });
+        });
+      } else if (declaration.type === 'VariableDeclaration') {
+        declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier' && declarator.init)
+          .forEach(declarator => {
+            const { init } = declarator;
+            if (init.type === 'ArrayExpression') {
+              arrayBindings.set(declarator.id.name, init);
+            } else if (isFunctionNode(init)) {
+              const source = this.findLazyImportSource(init);
+              if (source) {
+                componentBindings.set(declarator.id.name, { source, lazy: true });
+              }
+            } else {
+              const source = this.findLazyImportSource(init);
+              if (source) {
+                componentBindings.set(declarator.id.name, { source, lazy: false });
+              }
+            }
+          });
+      }
+    }
+
+    const resolveComponentFile = (source) => {
+      if (!this.isLocalFile(source, aliasConfig)) {
+        return null;
+      }
+      const aliasedPath = this.resolveAlias(source, aliasConfig, baseDir);
+      const fullPath = path.isAbsolute(aliasedPath) ? aliasedPath : path.resolve(path.dirname(routeFilePath), aliasedPath);
+      return this.resolveFileWithExtensions(fullPath);
+    };
+
+    const resolveComponent = (valueNode) => {
+      let binding = null;
+      if (valueNode.type === 'Identifier') {
+        binding = componentBindings.get(valueNode.name) || null;
+      } else if (isFunctionNode(valueNode) || valueNode.type === 'CallExpression') {
+        const source = this.findLazyImportSource(valueNode);
+        if (source) {
+          binding = { source, lazy: isFunctionNode(valueNode) };
+        }
+      }
+      if (!binding) {
+        return { source: code.slice(valueNode.start, valueNode.end), file: null, lazy: false };
+      }
+      return { source: binding.source, file: resolveComponentFile(binding.source), lazy: binding.lazy };
+    };
+
+    const getKeyName = (property) => {
+      if (property.computed) {
+        return this.getStaticString(property.key);
+      }
+      return property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+    };
+    const getProperties = (objectNode) => {
+      const properties = {};
+      objectNode.properties
+        .filter(property => property.type === 'ObjectProperty')
+        .forEach(property => {
+          const key = getKeyName(property);
+          if (key) {
+            properties[key] = property.value;
+          }
+        });
+      return properties;
+    };
+    const routeKeys = ['component', 'components', 'redirect', 'children', 'name', 'meta'];
+    const isRouteObject = (node) => {
+      if (!node || node.type !== 'ObjectExpression') {
+        return false;
+      }
+      const properties = getProperties(node);
+      return properties.path && this.getStaticString(properties.path) !== null &&
+        routeKeys.some(key => properties[key]);
+    };
+    const joinRoutePath = (parentPath, routePath) => {
+      if (routePath.startsWith('/') || !parentPath) {
+        return routePath;
+      }
+      return `${parentPath.replace(/\/$/, '')}/${routePath}`;
+    };
+
+    // 作为children被引用的节点，不再作为顶层路由输出
+    const childNodes = new Set();
+    const parseRoute = (node, parentPath) => {
+      const properties = getProperties(node);
+      const routePath = this.getStaticString(properties.path);
+      const route = {
+        path: routePath,
+        fullPath: joinRoutePath(parentPath, routePath),
+        name: properties.name ? this.evaluateStaticValue(properties.name, code) : null,
+        component: properties.component ? resolveComponent(properties.component) : null,
+        meta: properties.meta ? this.evaluateStaticValue(properties.meta, code) : null,
+        redirect: properties.redirect ? this.evaluateStaticValue(properties.redirect, code) : null,
+        children: [],
+        routeFile: routeFilePath,
+        loc: {
+          start: { line: node.loc.start.line, column: node.loc.start.column + 1 },
+          end: { line: node.loc.end.line, column: node.loc.end.column + 1 },
+        },
+      };
+      if (properties.components && properties.components.type === 'ObjectExpression') {
+        route.components = {};
+        Object.entries(getProperties(properties.components)).forEach(([viewName, valueNode]) => {
+          route.components[viewName] = resolveComponent(valueNode);
+        });
+      }
+
+      let childrenNode = properties.children;
+      if (childrenNode && childrenNode.type === 'Identifier') {
+        childrenNode = arrayBindings.get(childrenNode.name) || null;
+      }
+      if (childrenNode && childrenNode.type === 'ArrayExpression') {
+        childNodes.add(childrenNode);
+        childrenNode.elements
+          .filter(isRouteObject)
+          .forEach(element => {
+            childNodes.add(element);
+            route.children.push(parseRoute(element, route.fullPath).route);
+          });
+      }
+      return { node, route };
+    };
+
+    const topLevel = [];
+    walk(ast.program, {
+      enter(node) {
+        if (isRouteObject(node)) {
+          topLevel.push(parseRoute(node, ''));
+          this.skip();
+        }
+      },
+    });
+
+    return topLevel
+      .filter(({ node }) => !childNodes.has(node))
+      .map(({ route }) => route);
+  }
+
+  /**
+   * 解析项目中所有路由文件
+   */
+  collectRoutes(baseDir, aliasConfig = {}, routerFiles = []) {
+    const routeFiles = this.findRouteFiles(baseDir, routerFiles);
+    const routes = [];
+    const errors = [];
+    for (const routeFile of routeFiles) {
+      try {
+        routes.push(...this.parseRouteFile(routeFile, aliasConfig, baseDir));
+      } catch (error) {
+        errors.push({ file: routeFile, error: error.message });
+      }
+    }
+    return { routeFiles, routes, errors };
+  }
+
+  /**
+   * 将路由树展开为列表，每条记录附带祖先路由（parents）且不含children
+   */
+  flattenRoutes(routes, parents = []) {
+    const result = [];
+    for (const route of routes) {
+      const { children, ...record } = route;
+      result.push({ ...record, parents });
+      result.push(...this.flattenRoutes(children, [...parents, { path: route.path, fullPath: route.fullPath, name: route.name }]));
+    }
+    return result;
+  }
+
+  /**
+   * 获取路由记录引用的所有组件文件（component与命名视图components）
+   */
+  getRouteComponentFiles(route) {
+    const components = [route.component, ...Object.values(route.components || {})];
+    return components.filter(component => component && component.file).map(component => component.file);
+  }
+
+  /**
+   * 查找使用指定组件文件的路由记录
+   */
+  findRoutesForFile(filePath, baseDir, aliasConfig = {}, routerFiles = []) {
+    const { routes } = this.collectRoutes(baseDir, aliasConfig, routerFiles);
+    return this.flattenRoutes(routes)
+      .filter(route => this.getRouteComponentFiles(route).includes(filePath));
+  }
+
+  /**
+   * 将路由信息追加到代办.md文件（需显式开启writeRouteTodo）
+   */
+  async saveRouteInfoToTodo(routes, filePath, baseDir, outputDir = null) {
+    // 严格检查：只有在真正找到相关路由信息时才保存
+    if (routes.length === 0) {
+      console.log(`未找到 ${path.basename(filePath)} 的相关路由信息，跳过保存`);
+      return;
+    }
+
+    // 确定代办.md文件的保存路径
+    const targetDir = outputDir || baseDir;
+    const todoFilePath = path.join(targetDir, '代办.md');
+    
+    // 确保输出目录存在
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+    const fileName = path.basename(filePath);
+    console.log(`找到 ${fileName} 的路由信息，保存到代办.md`);
+    let content = `## 路由信息\n\n`;
+    routes.forEach(route => {
+      const routeLines = fs.readFileSync(route.routeFile, 'utf-8').split('\n');
+      const statement = routeLines.slice(route.loc.start.line - 1, route.loc.end.line).join('\n');
+      content += `路由文件：${route.routeFile}:${route.loc.start.line}\n\n`;
+      content += `路由路径：${route.fullPath}${route.name ? `（${route.name}）` : ''}\n\n`;
+      content += `\`\`\`javascript\n${statement}\n\`\`\`\n\n`;
+      content += `请根据对应信息复制对应的route数据\n\n`;
+    });
+    content += `---\n\n`;
+    
+    // 如果文件已存在，追加内容；否则创建新文件
+    if (fs.existsSync(todoFilePath)) {
+      const existingContent = fs.readFileSync(todoFilePath, 'utf-8');
+      fs.writeFileSync(todoFilePath, existingContent + content, 'utf-8');
+    } else {
+      fs.writeFileSync(todoFilePath, content, 'utf-8');
+    }
+  }
+
+  /**
+   * 列出项目中的路由（list_routes工具）
+   * 传入filePath时只返回使用该组件的路由
+   */
+  async listRoutes(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const { filePath, aliasConfig: explicitAliasConfig, baseDir, autoDetectAliases, routerFiles } = options;
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+
+      const { routeFiles, routes, errors } = this.collectRoutes(baseDir, aliasConfig, routerFiles);
+      const flatRoutes = this.flattenRoutes(routes);
+      const resolvedFilePath = filePath ? this.resolvePath(filePath, baseDir) : null;
+      const matchedRoutes = resolvedFilePath
+        ? flatRoutes.filter(route => this.getRouteComponentFiles(route).includes(resolvedFilePath))
+        : null;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              routeFiles,
+              ...(resolvedFilePath ? { filePath: resolvedFilePath, routes: matchedRoutes } : { routes }),
+              errors,
+              aliases,
+              summary: {
+                routeFiles: routeFiles.length,
+                totalRoutes: flatRoutes.length,
+                unresolvedComponents: flatRoutes.filter(route => route.component && !route.component.file).length,
+                ...(matchedRoutes ? { matchedRoutes: matchedRoutes.length } : {}),
+              },
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `解析路由时发生错误: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 从环境变量读取工具参数默认值
+   * ALIASES为JSON格式的别名配置；列表类变量支持JSON数组或逗号分隔
+   */
+  loadEnvConfig(env = process.env) {
+    const config = {};
+    const parseList = (value) => {
+      if (value.trim().startsWith('[')) {
+        return JSON.parse(value);
+      }
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    };
+    const parseBoolean = (value) => ['true', '1', 'yes'].includes(value.trim().toLowerCase());
+
+    const readers = {
+      ALIASES: ['aliasConfig', value => JSON.parse(value)],
+      VUE_PARSER_ALIASES: ['aliasConfig', value => JSON.parse(value)],
+      VUE_PARSER_BASE_DIR: ['baseDir', value => value],
+      VUE_PARSER_TARGET_DIR: ['targetDir', value => value],
+      VUE_PARSER_MAX_DEPTH: ['maxDepth', value => Number(value)],
+      VUE_PARSER_INCLUDE_NODE_MODULES: ['includeNodeModules', parseBoolean],
+      VUE_PARSER_INCLUDE_ASYNC: ['includeAsync', parseBoolean],
+      VUE_PARSER_AUTO_DETECT_ALIASES: ['autoDetectAliases', parseBoolean],
+      VUE_PARSER_EXTENSIONS: ['extensions', parseList],
+      VUE_PARSER_STORE_ENTRY: ['storeEntry', value => value],
+      VUE_PARSER_ROUTER_FILES: ['routerFiles', parseList],
+      VUE_PARSER_EXCLUDE: ['exclude', parseList],
+      VUE_PARSER_CONCURRENCY: ['concurrency', value => Number(value)],
+      VUE_PARSER_CACHE: ['cache', parseBoolean],
+      VUE_PARSER_CACHE_DIR: ['cacheDir', value => value],
+      VUE_PARSER_CONFLICT_STRATEGY: ['conflictStrategy', value => value],
+    };
+
+    for (const [name, [key, read]] of Object.entries(readers)) {
+      if (env[name] === undefined || env[name] === '') {
+        continue;
+      }
+      try {
+        const value = read(env[name]);
+        config[key] = key === 'aliasConfig' ? { ...config[key], ...value } : value;
+      } catch (error) {
+        console.error(`环境变量${name}格式错误:`, error.message);
+      }
+    }
+    return config;
+  }
+
+  /**
+   * 读取项目配置：baseDir下的.vueparserrc.json，或package.json中的vueParser字段
+   */
+  loadProjectConfig(baseDir) {
+    const rcPath = path.join(baseDir, '.vueparserrc.json');
+    const packageJsonPath = path.join(baseDir, 'package.json');
+    const signature = [rcPath, packageJsonPath]
+      .map(file => {
+        const fileInfo = this.checkFileExists(file);
+        return fileInfo.exists ? fileInfo.mtime.getTime() : '';
+      })
+      .join('|');
+
+    const cached = this.projectConfigCache.get(baseDir);
+    if (cached && cached.signature === signature) {
+      return cached.config;
+    }
+
+    let config = {};
+    try {
+      if (fs.existsSync(rcPath)) {
+        config = this.readJsonWithComments(rcPath);
+      } else if (fs.existsSync(packageJsonPath)) {
+        config = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8')).vueParser || {};
+      }
+    } catch (error) {
+      console.error('读取项目配置时出错:', error.message);
+    }
+
+    this.projectConfigCache.set(baseDir, { signature, config });
+    return config;
+  }
+
+  /**
+   * 合并工具参数：调用参数 > 项目配置文件 > 环境变量 > 内置默认值
+   * aliasConfig按别名逐项合并，其余参数整体覆盖
+   */
+  resolveToolOptions(args = {}) {
+    const envConfig = this.loadEnvConfig();
+    const baseDir = args.baseDir || envConfig.baseDir || process.cwd();
+    const projectConfig = this.loadProjectConfig(baseDir);
+
+    const options = {};
+    for (const layer of [DEFAULT_TOOL_OPTIONS, envConfig, projectConfig, args]) {
+      for (const [key, value] of Object.entries(layer)) {
+        if (value === undefined) {
+          continue;
+        }
+        options[key] = key === 'aliasConfig' ? { ...options.aliasConfig, ...value } : value;
+      }
+    }
+    options.baseDir = baseDir;
+    return options;
+  }
+
+  /**
+   * 从合并后的参数中提取构建依赖树所需的选项
+   */
+  getTreeOptions(options) {
+    const { includeAsync, extensions, exclude, storeEntry, concurrency } = options;
+    return { includeAsync, extensions, exclude, storeEntry, concurrency };
+  }
+
+  /**
+   * 判断文件是否命中exclude中的glob模式（相对baseDir匹配）
+   */
+  isExcludedFile(filePath, baseDir, exclude = []) {
+    if (exclude.length === 0) {
+      return false;
+    }
+    const relativePath = path.relative(baseDir, filePath).replace(/\\/g, '/');
+    return exclude.some(pattern => minimatch(relativePath, pattern, { dot: true }));
+  }
+
+  /**
+   * 解析路径（优化版）
+   */
+  resolvePath(filePath, baseDir) {
+    if (!filePath) {
+      throw new Error('文件路径不能为空');
+    }
+
+    // 规范化路径
+    const normalizedPath = path.normalize(filePath);
+    
+    if (path.isAbsolute(normalizedPath)) {
+      return normalizedPath;
+    }
+    
+    const resolved = path.resolve(baseDir, normalizedPath);
+    return path.normalize(resolved);
+  }
+
+  /**
+   * 解析别名路径（优化版）
+   */
+  resolveAlias(importPath, aliasConfig, baseDir) {
+    if (!importPath) {
+      return importPath;
+    }
+
+    // 按别名长度排序，确保最长匹配优先
+    const sortedAliases = Object.entries(aliasConfig)
+      .sort(([a], [b]) => b.length - a.length);
+    const matchAlias = (request) => {
+      for (const [alias, realPath] of sortedAliases) {
+        // webpack的精确匹配别名（如vue$）只匹配完整的请求，不匹配子路径
+        if (alias.endsWith('$')) {
+          if (request === alias.slice(0, -1)) {
+            return this.resolvePath(realPath, baseDir);
+          }
+          continue;
+        }
+        if (request.startsWith(alias)) {
+          // 确保别名匹配是完整的（避免部分匹配）
+          const nextChar = request[alias.length];
+          if (nextChar === undefined || nextChar === '/' || nextChar === '\\') {
+            const relativePath = request.slice(alias.length);
+            const resolvedPath = path.join(realPath, relativePath);
+            return this.resolvePath(resolvedPath, baseDir);
+          }
+        }
+      }
+      return null;
+    };
+
+    // 规范化导入路径，先按原样匹配别名（别名本身可能以~开头，如~/*、~utils）
+    let normalizedImport = path.normalize(importPath);
+    const resolved = matchAlias(normalizedImport);
+    if (resolved) {
+      return resolved;
+    }
+
+    // 处理样式文件中的~前缀（webpack语法，如~@/styles/x），没有别名命中时才移除
+    if (normalizedImport.startsWith('~')) {
+      normalizedImport = normalizedImport.slice(1);
+      return matchAlias(normalizedImport) || normalizedImport;
+    }
+    
+    return normalizedImport;
+  }
+
+  /**
+   * 读取允许注释和尾逗号的JSON文件（tsconfig.json、jsconfig.json）
+   */
+  readJsonWithComments(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      const next = content[i + 1];
+      if (inString) {
+        result += char;
+        if (char === '\\') {
+          result += next;
+          i++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+        result += char;
+      } else if (char === '/' && next === '/') {
+        while (i < content.length && content[i] !== '\n') i++;
+        result += '\n';
+      } else if (char === '/' && next === '*') {
+        i += 2;
+        while (i < content.length && !(content[i] === '*' && content[i + 1] === '/')) i++;
+        i++;
+      } else {
+        result += char;
+      }
+    }
+    // 移除尾逗号
+    return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+  }
+
+  /**
+   * 解析tsconfig的extends引用（相对路径或node_modules中的包）
+   */
+  resolveTsconfigExtends(extendsPath, configDir) {
+    const candidates = [];
+    if (extendsPath.startsWith('.') || path.isAbsolute(extendsPath)) {
+      const fullPath = path.resolve(configDir, extendsPath);
+      candidates.push(fullPath, fullPath + '.json', path.join(fullPath, 'tsconfig.json'));
+    } else {
+      let dir = configDir;
+      while (true) {
+        const fullPath = path.join(dir, 'node_modules', extendsPath);
+        candidates.push(fullPath, fullPath + '.json', path.join(fullPath, 'tsconfig.json'));
+        const parentDir = path.dirname(dir);
+        if (parentDir === dir) break;
+        dir = parentDir;
+      }
+    }
+    return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+  }
+
+  /**
+   * 读取tsconfig/jsconfig中的baseUrl与paths，沿extends链合并
+   * baseUrl相对于定义它的配置文件；paths相对于baseUrl，未设置baseUrl时相对于定义paths的配置文件
+   */
+  loadTsconfigCompilerPaths(configFile, seen = new Set()) {
+    if (seen.has(configFile)) {
+      return {};
+    }
+    seen.add(configFile);
+
+    const config = this.readJsonWithComments(configFile);
+    const configDir = path.dirname(configFile);
+    let result = {};
+
+    const extendsList = Array.isArray(config.extends) ? config.extends : (config.extends ? [config.extends] : []);
+    for (const extendsPath of extendsList) {
+      const extendsFile = this.resolveTsconfigExtends(extendsPath, configDir);
+      if (extendsFile) {
+        result = { ...result, ...this.loadTsconfigCompilerPaths(extendsFile, seen) };
+      }
+    }
+
+    const compilerOptions = config.compilerOptions || {};
+    if (compilerOptions.baseUrl !== undefined) {
+      result.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+    }
+    if (compilerOptions.paths) {
+      result.paths = compilerOptions.paths;
+      result.pathsDir = configDir;
+    }
+
+    // Vite模板中tsconfig.json通常只包含references，paths定义在tsconfig.app.json中
+    if (!result.paths && Array.isArray(config.references)) {
+      for (const reference of config.references) {
+        let referenceFile = path.resolve(configDir, reference.path);
+        if (fs.existsSync(referenceFile) && fs.statSync(referenceFile).isDirectory()) {
+          referenceFile = path.join(referenceFile, 'tsconfig.json');
+        }
+        if (!fs.existsSync(referenceFile)) {
+          continue;
+        }
+        const referenced = this.loadTsconfigCompilerPaths(referenceFile, seen);
+        if (referenced.paths) {
+          return { ...result, ...referenced };
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 从tsconfig.json/jsconfig.json的compilerOptions.paths中提取别名
+   */
+  loadTsconfigAliases(baseDir) {
+    const aliases = [];
+    for (const fileName of ['tsconfig.json', 'jsconfig.json']) {
+      const configFile = path.join(baseDir, fileName);
+      if (!fs.existsSync(configFile)) {
+        continue;
+      }
+      try {
+        const { baseUrl, paths, pathsDir } = this.loadTsconfigCompilerPaths(configFile);
+        if (!paths) {
+          continue;
+        }
+        for (const [key, targets] of Object.entries(paths)) {
+          if (key === '*' || !Array.isArray(targets) || targets.length === 0) {
+            continue;
+          }
+          const alias = key.replace(/\/?\*$/, '');
+          const target = targets[0].replace(/\/?\*$/, '');
+          aliases.push({
+            alias,
+            path: path.resolve(baseUrl || pathsDir, target),
+            source: fileName,
+          });
+        }
+      } catch (error) {
+        console.error(`读取${fileName}时出错:`, error.message);
+      }
+    }
+    return aliases;
+  }
+
+  /**
+   * 静态计算配置文件中的路径表达式
+   * 支持字符串、path.resolve/join(__dirname, ...)、fileURLToPath(new URL('./src', import.meta.url))、
+   * 顶层const变量，以及vue.config.js中常见的resolve('src')等单参数辅助函数
+   */
+  evaluateConfigPath(node, configDir, bindings = {}) {
+    if (!node) {
+      return null;
+    }
+    const staticString = this.getStaticString(node);
+    if (staticString !== null) {
+      return staticString;
+    }
+
+    switch (node.type) {
+      case 'Identifier':
+        if (node.name === '__dirname') {
+          return configDir;
+        }
+        return bindings[node.name] !== undefined ? bindings[node.name] : null;
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+        return this.evaluateConfigPath(node.expression, configDir, bindings);
+      case 'TemplateLiteral': {
+        let result = '';
+        for (let i = 0; i < node.quasis.length; i++) {
+          result += node.quasis[i].value.cooked;
+          if (i < node.expressions.length) {
+            const value = this.evaluateConfigPath(node.expressions[i], configDir, bindings);
+            if (value === null) return null;
+            result += value;
+          }
+        }
+        return result;
+      }
+      case 'BinaryExpression': {
+        if (node.operator !== '+') return null;
+        const left = this.evaluateConfigPath(node.left, configDir, bindings);
+        const right = this.evaluateConfigPath(node.right, configDir, bindings);
+        return left !== null && right !== null ? left + right : null;
+      }
+      case 'MemberExpression':
+        // new URL('./src', import.meta.url).pathname
+        if (node.property.type === 'Identifier' && node.property.name === 'pathname') {
+          return this.evaluateConfigPath(node.object, configDir, bindings);
+        }
+        return null;
+      case 'NewExpression':
+        // new URL('./src', import.meta.url)
+        if (node.callee.type === 'Identifier' && node.callee.name === 'URL') {
+          const request = this.evaluateConfigPath(node.arguments[0], configDir, bindings);
+          return request !== null ? path.resolve(configDir, request) : null;
+        }
+        return null;
+      case 'CallExpression': {
+        const { callee } = node;
+        const calleeName = callee.type === 'Identifier'
+          ? callee.name
+          : (callee.type === 'MemberExpression' && callee.property.type === 'Identifier' ? callee.property.name : null);
+        const args = node.arguments.map(arg => this.evaluateConfigPath(arg, configDir, bindings));
+        if (args.some(arg => arg === null)) {
+          return null;
+        }
+        if (calleeName === 'fileURLToPath' && args.length === 1) {
+          return args[0];
+        }
+        if (calleeName === 'resolve' && callee.type === 'MemberExpression' && args.length > 0) {
+          return path.resolve(configDir, ...args);
+        }
+        if (calleeName === 'join' && args.length > 0) {
+          return path.join(...args);
+        }
+        // function resolve(dir) { return path.join(__dirname, dir) }
+        if (callee.type === 'Identifier' && args.length === 1) {
+          return path.resolve(configDir, args[0]);
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 从vite.config.*、vue.config.js、webpack.config.js中提取别名
+   * 处理resolve.alias（对象或[{ find, replacement }]数组）以及chainWebpack中的config.resolve.alias.set()
+   */
+  loadBundlerAliases(configFile, baseDir) {
+    const configDir = path.dirname(configFile);
+    const source = path.basename(configFile);
+    const content = fs.readFileSync(configFile, 'utf-8');
+    const ext = path.extname(configFile).replace(/^\.[mc]?/, '');
+    const ast = this.parseScriptAst(content, ext === 'ts' ? 'ts' : 'js', configFile);
+
+    // 顶层可静态计算的常量，如 const srcDir = path.resolve(__dirname, 'src')
+    const bindings = {};
+    for (const statement of ast.program.body) {
+      if (statement.type !== 'VariableDeclaration') continue;
+      for (const declarator of statement.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init) {
+          const value = this.evaluateConfigPath(declarator.init, configDir, bindings);
+          if (value !== null) {
+            bindings[declarator.id.name] = value;
+          }
+        }
+      }
+    }
+
+    const aliases = [];
+    const addAlias = (alias, valueNode) => {
+      const value = this.evaluateConfigPath(valueNode, configDir, bindings);
+      if (!alias || value === null) {
+        return;
+      }
+      // 'vue$': 'vue/dist/vue.esm.js'这类裸模块名指向npm包而不是本地文件，不作为路径别名
+      if (!path.isAbsolute(value) && !/^\.\.?(\/|$)/.test(value)) {
+        return;
+      }
+      let aliasPath = path.resolve(configDir, value);
+      // Vite中'/src'这类值表示相对项目根目录的路径
+      if (path.isAbsolute(value) && !fs.existsSync(value) && fs.existsSync(path.join(baseDir, value))) {
+        aliasPath = path.join(baseDir, value);
+      }
+      // webpack的$后缀表示精确匹配，保留在别名中
+      aliases.push({ alias, path: aliasPath, source });
+    };
+    const getKeyName = (property) => {
+      if (property.computed) {
+        return this.getStaticString(property.key);
+      }
+      return property.key.type === 'Identifier' ? property.key.name : this.getStaticString(property.key);
+    };
+
+    const isSetCall = (node) => node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      node.callee.property.type === 'Identifier' &&
+      node.callee.property.name === 'set';
+    const isAliasSetCall = (node) => {
+      if (!isSetCall(node)) {
+        return false;
+      }
+      let target = node.callee.object;
+      while (isSetCall(target)) {
+        target = target.callee.object;
+      }
+      return target.type === 'MemberExpression' &&
+        target.property.type === 'Identifier' &&
+        target.property.name === 'alias';
+    };
+
+    walk(ast.program, {
+      enter: (node) => {
+        if (node.type === 'ObjectProperty' && getKeyName(node) === 'alias') {
+          if (node.value.type === 'ObjectExpression') {
+            node.value.properties
+              .filter(property => property.type === 'ObjectProperty')
+              .forEach(property => addAlias(getKeyName(property), property.value));
+          } else if (node.value.type === 'ArrayExpression') {
+            node.value.elements
+              .filter(element => element && element.type === 'ObjectExpression')
+              .forEach(element => {
+                const find = element.properties.find(property => property.type === 'ObjectProperty' && getKeyName(property) === 'find');
+                const replacement = element.properties.find(property => property.type === 'ObjectProperty' && getKeyName(property) === 'replacement');
+                if (find && replacement) {
+                  addAlias(this.getStaticString(find.value), replacement.value);
+                }
+              });
+          }
+        } else if (isAliasSetCall(node)) {
+          // config.resolve.alias.set('@', resolve('src')).set('views', resolve('src/views'))
+          addAlias(this.getStaticString(node.arguments[0]), node.arguments[1]);
+        }
+      },
+    });
+
+    return aliases;
+  }
+
+  /**
+   * 自动检测项目中的路径别名，按优先级从低到高返回
+   * tsconfig/jsconfig < vue.config.js/webpack.config.js < vite.config.*
+   */
+  detectProjectAliases(baseDir) {
+    const bundlerConfigs = [
+      'webpack.config.js',
+      'vue.config.js',
+      'vite.config.js',
+      'vite.config.mjs',
+      'vite.config.cjs',
+      'vite.config.ts',
+      'vite.config.mts',
+      'vite.config.cts',
+    ];
+    const signature = ['tsconfig.json', 'jsconfig.json', 'package.json', ...bundlerConfigs]
+      .map(fileName => {
+        const fileInfo = this.checkFileExists(path.join(baseDir, fileName));
+        return fileInfo.exists ? `${fileName}:${fileInfo.mtime.getTime()}` : '';
+      })
+      .join('|');
+
+    const cached = this.aliasDetectionCache.get(baseDir);
+    if (cached && cached.signature === signature) {
+      return cached.aliases;
+    }
+
+    const aliases = [...this.loadTsconfigAliases(baseDir)];
+
+    // Vue CLI默认提供@ -> src
+    const packageJsonPath = path.join(baseDir, 'package.json');
+    try {
+      const hasVueConfig = fs.existsSync(path.join(baseDir, 'vue.config.js'));
+      const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8')) : {};
+      const allDependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+      if (hasVueConfig || allDependencies['@vue/cli-service']) {
+        aliases.push({ alias: '@', path: path.join(baseDir, 'src'), source: 'vue-cli-default' });
+      }
+    } catch (error) {
+      console.error('读取package.json时出错:', error.message);
+    }
+
+    for (const fileName of bundlerConfigs) {
+      const configFile = path.join(baseDir, fileName);
+      if (!fs.existsSync(configFile)) {
+        continue;
+      }
+      try {
+        aliases.push(...this.loadBundlerAliases(configFile, baseDir));
+      } catch (error) {
+        console.error(`读取${fileName}时出错:`, error.message);
+      }
+    }
+
+    this.aliasDetectionCache.set(baseDir, { signature, aliases });
+    return aliases;
+  }
+
+  /**
+   * 合并自动检测的别名与显式传入的aliasConfig（显式配置优先）
+   * 返回合并后的aliasConfig以及实际生效的别名及其来源
+   */
+  resolveAliasConfig(aliasConfig = {}, baseDir, autoDetect = true) {
+    const effective = new Map();
+    if (autoDetect) {
+      for (const { alias, path: aliasPath, source } of this.detectProjectAliases(baseDir)) {
+        effective.set(alias, { alias, path: aliasPath, source });
+      }
+    }
+    for (const [alias, aliasPath] of Object.entries(aliasConfig)) {
+      effective.set(alias, { alias, path: aliasPath, source: 'aliasConfig' });
+    }
+
+    const mergedConfig = {};
+    effective.forEach(({ alias, path: aliasPath }) => {
+      mergedConfig[alias] = aliasPath;
+    });
+
+    return {
+      aliasConfig: mergedConfig,
+      aliases: [...effective.values()],
+    };
+  }
+
+  /**
+   * 检查文件是否存在并返回详细信息
+   */
+  checkFileExists(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      return {
+        exists: true,
+        isFile: stats.isFile(),
+        isDirectory: stats.isDirectory(),
+        size: stats.size,
+        mtime: stats.mtime
+      };
+    } catch (error) {
+      return {
+        exists: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 尝试解析文件路径（支持多种扩展名）
+   */
+  resolveFileWithExtensions(filePath, extensions = DEFAULT_RESOLVE_EXTENSIONS) {
+    // 如果文件已有扩展名且存在，直接返回
+    if (path.extname(filePath) && fs.existsSync(filePath)) {
+      return filePath;
+    }
+
+    // 尝试添加不同扩展名
+    for (const ext of extensions) {
+      const fileWithExt = filePath + ext;
+      if (fs.existsSync(fileWithExt)) {
+        return fileWithExt;
+      }
+    }
+
+    // 如果是目录，尝试查找index文件
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      for (const ext of extensions) {
+        const indexFile = path.join(filePath, 'index' + ext);
+        if (fs.existsSync(indexFile)) {
+          return indexFile;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 提取template部分的依赖
+   * 返回 [{ path, source, kind, line }]，kind为src（标签的src属性）或require（require()调用），line为在整个文件中的行号
+   */
+  extractTemplateDependencies(templateContent, aliasConfig, baseDir, options = {}) {
+    const { startLine = 1 } = options;
+    const dependencies = [];
+    const getLine = index => startLine + templateContent.slice(0, index).split('\n').length - 1;
+    
+    // 匹配src属性中的文件引用（:src绑定的是表达式，其中的require()单独处理）
+    const srcRegex = /(?<!:)src=["']([^"']+)["']/g;
+    let match;
+    
+    while ((match = srcRegex.exec(templateContent)) !== null) {
+      const srcPath = match[1];
+      if (this.isLocalFile(srcPath, aliasConfig)) {
+        const resolvedPath = this.resolveAlias(srcPath, aliasConfig, baseDir);
+        dependencies.push({ path: resolvedPath, source: srcPath, kind: 'src', line: getLine(match.index) });
+      }
+    }
+    
+    // 匹配所有require()调用
+    const requireRegex = /require\(["']([^"']+)["']\)/g;
+    let requireMatch;
+    
+    while ((requireMatch = requireRegex.exec(templateContent)) !== null) {
+      const requirePath = requireMatch[1];
+      if (this.isLocalFile(requirePath, aliasConfig)) {
+        const resolvedPath = this.resolveAlias(requirePath, aliasConfig, baseDir);
+        dependencies.push({ path: resolvedPath, source: requirePath, kind: 'require', line: getLine(requireMatch.index) });
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * 提取template中部分动态的require()路径，展开为候选文件
+   * 如 :src="require(`@/assets/icons/${name}.png`)"
+   */
+  extractTemplateDynamicDependencies(templateContent, aliasConfig, baseDir, options = {}) {
+    const { filename = '', startLine = 1 } = options;
+    const fromDir = filename ? path.dirname(filename) : baseDir;
+    const dependencies = [];
+
+    const requireRegex = /require\(([^()]*)\)/g;
+    let match;
+    while ((match = requireRegex.exec(templateContent)) !== null) {
+      const argumentCode = match[1].trim();
+      if (!/[`+]/.test(argumentCode)) {
+        continue;
+      }
+
+      let argNode;
+      try {
+        argNode = babelParse(`(${argumentCode})`, { plugins: ['typescript'] }).program.body[0].expression;
+      } catch (error) {
+        continue;
+      }
+
+      const expanded = this.expandDynamicPath(argNode, `(${argumentCode})`, fromDir, aliasConfig, baseDir);
+      if (!expanded) {
+        continue;
+      }
+      const line = startLine + templateContent.slice(0, match.index).split('\n').length - 1;
+      expanded.files.forEach(file => {
+        dependencies.push({
+          path: file,
+          source: expanded.context.source,
+          kind: 'dynamic-candidate',
+          line,
+          context: expanded.context,
+        });
+      });
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * 汇总部分动态路径的候选文件，按引用表达式分组，便于审查不确定的依赖
+   */
+  groupDynamicCandidates(entries, block) {
+    const groups = new Map();
+    entries
+      .filter(dep => dep.kind === 'dynamic-candidate')
+      .forEach(dep => {
+        const key = `${dep.line}:${dep.column || 0}:${dep.source}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            block,
+            source: dep.source,
+            line: dep.line,
+            async: Boolean(dep.async),
+            directory: dep.context.directory,
+            pattern: dep.context.pattern,
+            files: [],
+          });
+        }
+        groups.get(key).files.push(dep.path);
+      });
+    return [...groups.values()];
+  }
+
+
+
+  /**
+   * 根据脚本语言获取babel解析插件
+   */
+  getScriptParserPlugins(lang = 'js') {
+    switch (lang) {
+      case 'ts':
+        return ['typescript', 'decorators-legacy'];
+      case 'tsx':
+        return ['typescript', 'jsx', 'decorators-legacy'];
+      default:
+        return ['jsx', 'decorators-legacy'];
+    }
+  }
+
+  /**
+   * 将脚本内容解析为AST
+   * startLine用于.vue文件中的script块，使行号与原文件保持一致
+   */
+  parseScriptAst(scriptContent, lang = 'js', filename = '', startLine = 1) {
+    try {
+      return babelParse(scriptContent, {
+        sourceType: 'unambiguous',
+        plugins: this.getScriptParserPlugins(lang),
+        startLine,
+        errorRecovery: true,
+      });
+    } catch (error) {
+      throw new Error(`脚本解析错误 (${filename || '未知文件'}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取字符串字面量或不含表达式的模板字符串的值
+   */
+  getStaticString(node) {
+    if (!node) {
+      return null;
+    }
+    if (node.type === 'StringLiteral') {
+      return node.value;
+    }
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  /**
+   * 提取script部分的依赖
+   * 基于AST分析，每个依赖包含：
+   *  - path：经过别名处理后的路径
+   *  - source：源码中的原始引用
+   *  - kind：static | side-effect | re-export | type-only | require | dynamic | context | glob | dynamic-candidate
+   *  - line/column：引用语句所在的行列（从1开始）
+   */
+  extractScriptDependencies(scriptContent, aliasConfig, baseDir, options = {}) {
+    const { lang = 'js', filename = '', startLine = 1 } = options;
+    const dependencies = [];
+    const ast = this.parseScriptAst(scriptContent, lang, filename, startLine);
+
+    const addDependency = (source, kind, node) => {
+      if (!source || !this.isLocalFile(source, aliasConfig)) {
+        return;
+      }
+      dependencies.push({
+        path: this.resolveAlias(source, aliasConfig, baseDir),
+        source,
+        kind,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+      });
+    };
+
+    // require.context / import.meta.glob 展开后的文件依赖
+    const fromDir = filename ? path.dirname(filename) : baseDir;
+    const addExpandedDependencies = (expanded, kind, node, extra = {}) => {
+      if (!expanded) {
+        return;
+      }
+      const { files, context } = expanded;
+      files
+        .filter(file => file !== filename)
+        .forEach(file => {
+          dependencies.push({
+            path: file,
+            source: context.source,
+            kind,
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1,
+            context,
+            ...extra,
+          });
+        });
+    };
+    // 部分动态的路径（模板字符串、字符串拼接）按webpack上下文模块规则展开为候选文件
+    const addDynamicCandidates = (argNode, node, isAsync) => {
+      const expanded = this.expandDynamicPath(argNode, scriptContent, fromDir, aliasConfig, baseDir);
+      addExpandedDependencies(expanded, 'dynamic-candidate', node, isAsync ? { async: true } : {});
+    };
+
+    walk(ast.program, {
+      enter: (node) => {
+        switch (node.type) {
+          case 'ImportDeclaration': {
+            // import type { A } from 'x' 或 import { type A, type B } from 'x'
+            const isTypeOnly = node.importKind === 'type' ||
+              (node.specifiers.length > 0 && node.specifiers.every(s => s.importKind === 'type'));
+            let kind = 'static';
+            if (isTypeOnly) {
+              kind = 'type-only';
+            } else if (node.specifiers.length === 0) {
+              kind = 'side-effect';
+            }
+            addDependency(node.source.value, kind, node);
+            break;
+          }
+          case 'ExportNamedDeclaration':
+          case 'ExportAllDeclaration':
+            // export { a } from 'x' / export * from 'x'
+            if (node.source) {
+              addDependency(node.source.value, node.exportKind === 'type' ? 'type-only' : 're-export', node);
+            }
+            break;
+          case 'TSImportEqualsDeclaration':
+            // import foo = require('x')
+            if (node.moduleReference.type === 'TSExternalModuleReference') {
+              addDependency(
+                node.moduleReference.expression.value,
+                node.importKind === 'type' ? 'type-only' : 'require',
+                node
+              );
+            }
+            break;
+          case 'TSImportType': {
+            // type A = import('x').B
+            const argument = node.argument.type === 'TSLiteralType' ? node.argument.literal : node.argument;
+            addDependency(this.getStaticString(argument), 'type-only', node);
+            break;
+          }
+          case 'ImportExpression':
+            if (this.getStaticString(node.source) !== null) {
+              addDependency(this.getStaticString(node.source), 'dynamic', node);
+            } else {
+              addDynamicCandidates(node.source, node, true);
+            }
+            break;
+          case 'CallExpression':
+            if (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require')) {
+              const isImport = node.callee.type === 'Import';
+              const request = this.getStaticString(node.arguments[0]);
+              if (request !== null) {
+                addDependency(request, isImport ? 'dynamic' : 'require', node);
+              } else if (!isImport && node.arguments[0] && node.arguments[0].type === 'ArrayExpression') {
+                // AMD风格的懒加载：require(['@/views/a.vue'], resolve)
+                node.arguments[0].elements.forEach(element => {
+                  addDependency(this.getStaticString(element), 'dynamic', node);
+                });
+              } else if (node.arguments[0]) {
+                addDynamicCandidates(node.arguments[0], node, isImport);
+              }
+            } else if (this.isRequireContextCall(node)) {
+              addExpandedDependencies(this.expandRequireContext(node, fromDir, aliasConfig, baseDir), 'context', node);
+            } else if (this.isImportMetaGlobCall(node)) {
+              addExpandedDependencies(this.expandImportMetaGlob(node, fromDir, aliasConfig, baseDir), 'glob', node);
+            }
+            break;
+        }
+      },
+    });
+
+    return dependencies;
+  }
+
+  /**
+   * 判断是否为require.context(...)调用
+   */
+  isRequireContextCall(node) {
+    const { callee } = node;
+    return callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      callee.object.name === 'require' &&
+      callee.property.type === 'Identifier' &&
+      callee.property.name === 'context';
+  }
+
+  /**
+   * 判断是否为import.meta.glob(...)调用（包括已废弃的globEager）
+   */
+  isImportMetaGlobCall(node) {
+    const { callee } = node;
+    return callee.type === 'MemberExpression' &&
+      callee.object.type === 'MetaProperty' &&
+      callee.object.meta.name === 'import' &&
+      callee.object.property.name === 'meta' &&
+      callee.property.type === 'Identifier' &&
+      ['glob', 'globEager'].includes(callee.property.name);
+  }
+
+  /**
+   * 将require.context/import.meta.glob中的目录解析为绝对路径
+   * 相对路径基于声明文件所在目录，以/开头的路径基于项目根目录
+   */
+  resolveContextDirectory(request, fromDir, aliasConfig, baseDir) {
+    if (request.startsWith('./') || request.startsWith('../') || request === '.' || request === '..') {
+      return path.resolve(fromDir, request);
+    }
+    if (request.startsWith('/')) {
+      return path.join(baseDir, request);
+    }
+    return this.resolvePath(this.resolveAlias(request, aliasConfig, baseDir), baseDir);
+  }
+
+  /**
+   * 按webpack规则展开require.context(directory, useSubdirectories = true, regExp = /^\.\/.*$/)
+   * regExp匹配的是相对于directory、以./开头的路径
+   */
+  expandRequireContext(node, fromDir, aliasConfig, baseDir) {
+    const [dirNode, recursiveNode, regExpNode] = node.arguments;
+    const request = this.getStaticString(dirNode);
+    if (request === null || !this.isLocalFile(request, aliasConfig)) {
+      return null;
+    }
+
+    const recursive = recursiveNode && recursiveNode.type === 'BooleanLiteral' ? recursiveNode.value : true;
+    let regExp = /^\.\/.*$/;
+    if (regExpNode && regExpNode.type === 'RegExpLiteral') {
+      regExp = new RegExp(regExpNode.pattern, regExpNode.flags.replace(/[gy]/g, ''));
+    }
+
+    const directory = this.resolveContextDirectory(request, fromDir, aliasConfig, baseDir);
+    const files = this.matchContextFiles(directory, recursive, regExp);
+
+    return {
+      files,
+      context: {
+        source: request,
+        directory,
+        recursive,
+        pattern: regExp.toString(),
+      },
+    };
+  }
+
+  /**
+   * 列出上下文目录中路径（./相对路径形式）与正则匹配的文件
+   */
+  matchContextFiles(directory, recursive, regExp) {
+    return this.listFilesInDirectory(directory, recursive).filter(file => {
+      const key = './' + path.relative(directory, file).replace(/\\/g, '/');
+      return regExp.test(key);
+    });
+  }
+
+  /**
+   * 将模板字符串或字符串拼接表达式拆分为静态片段与通配符（null）
+   * 无法分析的表达式返回null
+   */
+  getDynamicPathParts(node) {
+    if (!node) {
+      return null;
+    }
+    const parts = [];
+    const collect = (current) => {
+      if (current.type === 'StringLiteral') {
+        parts.push(current.value);
+      } else if (current.type === 'TemplateLiteral') {
+        current.quasis.forEach((quasi, index) => {
+          parts.push(quasi.value.cooked);
+          if (index < current.expressions.length) {
+            parts.push(null);
+          }
+        });
+      } else if (current.type === 'BinaryExpression' && current.operator === '+') {
+        collect(current.left);
+        collect(current.right);
+      } else {
+        parts.push(null);
+      }
+    };
+    collect(node);
+
+    // 合并相邻的静态片段与通配符
+    const merged = [];
+    for (const part of parts) {
+      const last = merged[merged.length - 1];
+      if (part === '') {
+        continue;
+      }
+      if (part === null && merged.length > 0 && last === null) {
+        continue;
+      }
+      if (part !== null && typeof last === 'string') {
+        merged[merged.length - 1] = last + part;
+      } else {
+        merged.push(part);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * 按webpack构建上下文模块的方式展开部分动态的路径
+   * 例如 `@/assets/icons/${name}.png` -> 目录@/assets/icons，递归匹配 /^\.\/.*\.png$/
+   * 路径必须以包含目录的静态前缀开头，否则无法确定候选范围
+   */
+  expandDynamicPath(node, code, fromDir, aliasConfig, baseDir) {
+    const parts = this.getDynamicPathParts(node);
+    if (!parts || parts.length < 2 || typeof parts[0] !== 'string') {
+      return null;
+    }
+
+    const prefix = parts[0];
+    const lastSlash = prefix.lastIndexOf('/');
+    if (lastSlash === -1 || !this.isLocalFile(prefix, aliasConfig)) {
+      return null;
+    }
+
+    const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const request = prefix.slice(0, lastSlash) || '/';
+    const pattern = '^\\.\\/' + escapeRegExp(prefix.slice(lastSlash + 1)) +
+      parts.slice(1).map(part => (part === null ? '.*' : escapeRegExp(part))).join('') + '$';
+    const regExp = new RegExp(pattern);
+
+    const directory = this.resolveContextDirectory(request, fromDir, aliasConfig, baseDir);
+    return {
+      files: this.matchContextFiles(directory, true, regExp),
+      context: {
+        source: code.slice(node.start, node.end),
+        directory,
+        recursive: true,
+        pattern: regExp.toString(),
+      },
+    };
+  }
+
+  /**
+   * 按Vite规则展开import.meta.glob(pattern | pattern[])，支持!开头的排除模式
+   */
+  expandImportMetaGlob(node, fromDir, aliasConfig, baseDir) {
+    const [patternNode] = node.arguments;
+    const patternNodes = patternNode && patternNode.type === 'ArrayExpression'
+      ? patternNode.elements
+      : [patternNode];
+    const patterns = patternNodes
+      .map(item => this.getStaticString(item))
+      .filter(pattern => pattern !== null);
+    if (patterns.length === 0) {
+      return null;
+    }
+
+    const toAbsolutePattern = (pattern) => this.resolveContextDirectory(pattern, fromDir, aliasConfig, baseDir)
+      .replace(/\\/g, '/');
+    const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(toAbsolutePattern);
+    const ignores = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => toAbsolutePattern(pattern.slice(1)));
+
+    const files = globSync(includes, {
+      ignore: ignores,
+      nodir: true,
+      absolute: true,
+      windowsPathsNoEscape: true,
+    }).map(file => path.normalize(file)).sort();
+
+    // 取第一个模式中通配符之前的部分作为上下文目录
+    const staticSegments = [];
+    for (const segment of includes[0].split('/')) {
+      if (/[*?[\]{}()!]/.test(segment)) {
+        break;
+      }
+      staticSegments.push(segment);
+    }
+
+    return {
+      files,
+      context: {
+        source: patterns.join(', '),
+        directory: path.normalize(staticSegments.join('/') || '/'),
+        recursive: includes.some(pattern => pattern.includes('**')),
+        pattern: patterns.join(', '),
+      },
+    };
+  }
+
+  /**
+   * 列出目录下的所有文件（可选递归，忽略node_modules）
+   */
+  listFilesInDirectory(dirPath, recursive = true) {
+    const files = [];
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+      return files;
+    }
+
+    for (const item of fs.readdirSync(dirPath).sort()) {
+      const fullPath = path.join(dirPath, item);
+      const stat = fs.statSync(fullPath);
+      if (stat.isDirectory()) {
+        if (recursive && item !== 'node_modules') {
+          files.push(...this.listFilesInDirectory(fullPath, recursive));
+        }
+      } else if (stat.isFile()) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * 提取style部分的依赖
+   * 返回 [{ path, source, kind, line }]，kind为import（@import）或url（url()），line为在整个文件中的行号
+   */
+  extractStyleDependencies(styleContent, aliasConfig, baseDir, options = {}) {
+    const { startLine = 1 } = options;
+    const dependencies = [];
+    const getLine = index => startLine + styleContent.slice(0, index).split('\n').length - 1;
+    
+    // 匹配@import语句
+    const importRegex = /@import\s+["']([^"']+)["']/g;
+    let match;
+    
+    while ((match = importRegex.exec(styleContent)) !== null) {
+      const importPath = match[1];
+      if (this.isLocalFile(importPath, aliasConfig)) {
+        const resolvedPath = this.resolveAlias(importPath, aliasConfig, baseDir);
+        dependencies.push({ path: resolvedPath, source: importPath, kind: 'import', line: getLine(match.index) });
+      }
+    }
+
+    // 匹配url()中的文件引用
+    const urlRegex = /url\(["']?([^"')]+)["']?\)/g;
+    let urlMatch;
+    while ((urlMatch = urlRegex.exec(styleContent)) !== null) {
+      const urlPath = urlMatch[1];
+      if (this.isLocalFile(urlPath, aliasConfig)) {
+        const resolvedPath = this.resolveAlias(urlPath, aliasConfig, baseDir);
+        dependencies.push({ path: resolvedPath, source: urlPath, kind: 'url', line: getLine(urlMatch.index) });
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * 判断是否为本地文件
+   */
+  isLocalFile(filePath, aliasConfig = null) {
+    // 传入aliasConfig时，未命中别名的裸模块名（npm包、node内置模块）不是本地文件
+    if (aliasConfig && this.parsePackageSpecifier(filePath, aliasConfig)) {
+      return false;
+    }
+
+    // 排除HTTP URL、node_modules包、绝对URL等
+    // 但包含以~开头的webpack别名路径
+    if (filePath.startsWith('~')) {
+      return true; // ~开头的路径通常是webpack别名，应该被处理
+    }
+    
+    return !filePath.startsWith('http') && 
+           !filePath.startsWith('//') && 
+           !filePath.startsWith('data:') && 
+           !/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(filePath) &&
+           !filePath.includes('node_modules');
+  }
+
+  /**
+   * 解析裸模块名，返回 { name, builtin }；相对路径、绝对路径、URL与命中别名的路径返回null
+   * 支持子路径（lodash/debounce -> lodash）、scoped包（@vue/shared/dist -> @vue/shared）与样式中的~前缀
+   */
+  parsePackageSpecifier(specifier, aliasConfig = {}) {
+    const isAlias = request => Object.keys(aliasConfig).some(alias => (alias.endsWith('$')
+      ? request === alias.slice(0, -1)
+      : request === alias || request.startsWith(`${alias}/`)));
+    // 别名可能以~开头（如~utils），先按原样匹配；没有别名覆盖时，~前缀的请求才按webpack语法视为npm包
+    if (isAlias(specifier)) {
+      return null;
+    }
+    const request = specifier.startsWith('~') ? specifier.slice(1) : specifier;
+    if (!request || request.startsWith('.') || request.startsWith('/') ||
+      /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(request) || request.includes('node_modules')) {
+      return null;
+    }
+    if (isAlias(request)) {
+      return null;
+    }
+
+    const segments = request.split('/');
+    const name = request.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    if (!/^(@[a-z0-9~][\w.~-]*\/)?[a-z0-9~][\w.~-]*$/i.test(name)) {
+      return null;
+    }
+    return { name, builtin: builtinModules.includes(name) };
+  }
+
+  /**
+   * 提取文件中引用的npm包，返回 [{ name, source, line }]（不含node内置模块）
+   */
+  extractPackageImports(content, filePath, aliasConfig, descriptor = null) {
+    if (!REWRITABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return [];
+    }
+    const packageImports = [];
+    for (const { value, line } of this.collectPathSpecifiers(content, filePath, descriptor)) {
+      if (value === null) {
+        continue;
+      }
+      const packageInfo = this.parsePackageSpecifier(value, aliasConfig);
+      if (packageInfo && !packageInfo.builtin) {
+        packageImports.push({ name: packageInfo.name, source: value, line });
+      }
+    }
+    return packageImports;
+  }
+
+  /**
+   * 读取目录下package.json中声明的依赖，返回 { packageJson, versions: { name: { version, field } } }，没有package.json时返回null
+   */
+  readDeclaredPackages(dir) {
+    const packageJson = path.join(dir, 'package.json');
+    if (!fs.existsSync(packageJson)) {
+      return null;
+    }
+    const data = JSON.parse(fs.readFileSync(packageJson, 'utf-8'));
+    const versions = {};
+    // 同一个包在多个字段中声明时，以靠前的字段为准
+    [...PACKAGE_DEPENDENCY_FIELDS].reverse().forEach(field => {
+      Object.entries(data[field] || {}).forEach(([name, version]) => {
+        versions[name] = { version, field };
+      });
+    });
+    return { packageJson, versions };
+  }
+
+  /**
+   * 将semver版本范围解析为区间列表 [{ min, max }]（min含、max不含，版本为[major, minor, patch]）
+   * 支持^、~、x通配、比较符、a - b与||；git地址、file:、tag等无法比较的范围返回null
+   */
+  parseVersionRange(range) {
+    const MAX = [Infinity, 0, 0];
+    const parseVersion = text => {
+      const match = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:[-+].*)?$/.exec(text);
+      if (!match) {
+        return null;
+      }
+      // 通配或省略的部分记为null
+      return match.slice(1).map(part => (part === undefined || /[xX*]/.test(part) ? null : Number(part)));
+    };
+    const floor = parts => parts.map(part => part || 0);
+    // 部分版本号的上界：1.2 -> 1.3.0，1 -> 2.0.0
+    const nextPartial = parts => {
+      const index = parts.indexOf(null);
+      if (index === 0) {
+        return MAX;
+      }
+      if (index === -1) {
+        return null;
+      }
+      return [...parts.slice(0, index - 1), parts[index - 1] + 1, ...Array(3 - index).fill(0)];
+    };
+    const bump = (version, index) => [...version.slice(0, index), version[index] + 1, ...Array(2 - index).fill(0)];
+    const increment = version => [version[0], version[1], version[2] + 1];
+
+    const parseComparator = token => {
+      const match = /^(\^|~>?|>=|<=|>|<|=)?\s*(.+)$/.exec(token);
+      const operator = match[1] || '';
+      const parts = parseVersion(match[2]);
+      if (!parts) {
+        return null;
+      }
+      const version = floor(parts);
+      const upper = nextPartial(parts);
+      switch (operator) {
+        case '^': {
+          // 第一个非0的部分不变
+          const index = version[0] > 0 || parts[1] === null ? 0 : (version[1] > 0 || parts[2] === null ? 1 : 2);
+          return { min: version, max: bump(version, index) };
+        }
+        case '~':
+        case '~>':
+          return { min: version, max: parts[1] === null ? bump(version, 0) : bump(version, 1) };
+        case '>=':
+          return { min: version, max: MAX };
+        case '>':
+          return { min: upper || increment(version), max: MAX };
+        case '<=':
+          return { min: [0, 0, 0], max: upper || increment(version) };
+        case '<':
+          return { min: [0, 0, 0], max: version };
+        default:
+          return { min: version, max: upper || increment(version) };
+      }
+    };
+    const compare = (a, b) => (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+
+    const intervals = [];
+    for (const set of range.trim().split('||')) {
+      const text = set.trim();
+      if (text === '' || text === '*' || /^[xX]$/.test(text) || text === 'latest') {
+        intervals.push({ min: [0, 0, 0], max: MAX });
+        continue;
+      }
+      const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+      const tokens = hyphen
+        ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+        : text.replace(/(\^|~>?|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/);
+      let interval = { min: [0, 0, 0], max: MAX };
+      for (const token of tokens) {
+        const comparator = parseComparator(token);
+        if (!comparator) {
+          return null;
+        }
+        interval = {
+          min: compare(comparator.min, interval.min) > 0 ? comparator.min : interval.min,
+          max: compare(comparator.max, interval.max) < 0 ? comparator.max : interval.max,
+        };
+      }
+      intervals.push(interval);
+    }
+    return intervals;
+  }
+
+  /**
+   * 判断两个版本范围是否有交集；任一范围无法解析时按字符串比较
+   */
+  versionRangesIntersect(rangeA, rangeB) {
+    const a = this.parseVersionRange(rangeA);
+    const b = this.parseVersionRange(rangeB);
+    if (!a || !b) {
+      return rangeA.trim() === rangeB.trim();
+    }
+    const compare = (x, y) => (x[0] - y[0]) || (x[1] - y[1]) || (x[2] - y[2]);
+    return a.some(x => b.some(y => compare(x.min, y.max) < 0 && compare(y.min, x.max) < 0));
+  }
+
+  /**
+   * 汇总文件引用的npm包，附带源项目package.json中的版本范围
+   * 传入targetProject时，列出目标项目中缺少或版本范围不兼容的包
+   */
+  buildExternalPackages(fileImports, baseDir, targetProject = null) {
+    const usage = new Map();
+    for (const { file, packageImports = [] } of fileImports) {
+      for (const { name, source, line } of packageImports) {
+        if (!usage.has(name)) {
+          usage.set(name, []);
+        }
+        usage.get(name).push({ file, source, line });
+      }
+    }
+
+    const readPackages = dir => {
+      try {
+        return this.readDeclaredPackages(dir);
+      } catch (error) {
+        console.error(`读取${path.join(dir, 'package.json')}时出错:`, error.message);
+        return null;
+      }
+    };
+    const declared = readPackages(baseDir);
+    const target = targetProject ? readPackages(targetProject) : null;
+
+    const packages = [...usage.keys()].sort().map(name => {
+      const source = declared && declared.versions[name];
+      const targetInfo = target && target.versions[name];
+      let status;
+      if (target) {
+        if (!targetInfo) {
+          status = 'missing';
+        } else if (source && !this.versionRangesIntersect(source.version, targetInfo.version)) {
+          status = 'conflict';
+        } else {
+          status = 'ok';
+        }
+      }
+      return {
+        name,
+        version: source ? source.version : null,
+        field: source ? source.field : null,
+        usedBy: usage.get(name),
+        ...(target ? { targetVersion: targetInfo ? targetInfo.version : null, status } : {}),
+      };
+    });
+
+    return {
+      packageJson: declared ? declared.packageJson : null,
+      packages,
+      // 被引用但源项目package.json中没有声明的包（可能是间接依赖）
+      undeclared: packages.filter(item => !item.version).map(item => item.name),
+      ...(targetProject ? {
+        target: {
+          packageJson: target ? target.packageJson : null,
+          missing: packages.filter(item => item.status === 'missing').map(item => item.name),
+          conflicts: packages
+            .filter(item => item.status === 'conflict')
+            .map(({ name, version, targetVersion }) => ({ name, version, targetVersion })),
+        },
+      } : {}),
+    };
+  }
+
+  /**
+   * 汇总依赖图中文件引用的npm包；extraFiles为不在依赖图中、但同样需要统计的文件（如复制的store文件）
+   */
+  async collectGraphPackages(graph, baseDir, targetProject = null, extraFiles = []) {
+    const fileImports = [...graph.nodes.values()]
+      .filter(node => node.packageImports)
+      .map(node => ({ file: node.file, packageImports: node.packageImports }));
+    for (const file of extraFiles) {
+      if (graph.nodes.has(file) || !fs.existsSync(file)) {
+        continue;
+      }
+      try {
+        const analysis = await this.analyzeFileCached(file, graph.aliasConfig, baseDir, {
+          storeEntry: graph.options.storeEntry,
+          requestCache: graph.requestCache,
+          parseCache: graph.parseCache
+        });
+        fileImports.push({ file, packageImports: analysis.packageImports });
+      } catch (error) {
+        console.error(`分析${file}引用的npm包时出错:`, error.message);
+      }
+    }
+    return this.buildExternalPackages(fileImports, baseDir, targetProject);
+  }
+
+  /**
+   * 列出依赖图中指定文件的template里找不到注册的组件、指令与过滤器：[{ file, type, name, line }]
+   */
+  getUnresolvedTemplateAssets(graph, files) {
+    return files.flatMap(file => {
+      const node = graph.nodes.get(file);
+      return node && node.unresolvedAssets ? node.unresolvedAssets.map(asset => ({ file, ...asset })) : [];
+    });
+  }
+
+  /**
+   * 汇总依赖图中指定文件使用的全局属性与注入键，即迁移到新项目时需要同样安装的内容
+   * 返回 [{ type, name, registration, installedAs, file, package, registeredIn, registeredLine, plugin, usedBy }]
+   */
+  getGlobalRequirements(graph, files) {
+    const requirements = new Map();
+    for (const file of files) {
+      const node = graph.nodes.get(file);
+      for (const usage of (node && node.globalUsages) || []) {
+        const key = `${usage.type}:${usage.name}`;
+        if (!requirements.has(key)) {
+          const { via, line, ...requirement } = usage;
+          requirements.set(key, { ...requirement, usedBy: [] });
+        }
+        requirements.get(key).usedBy.push({ file, via: usage.via, line: usage.line });
+      }
+    }
+    return [...requirements.values()];
+  }
+
+  /**
+   * 全局属性与注入键的统计
+   */
+  getGlobalRequirementStats(globalRequirements) {
+    return {
+      globalRequirementCount: globalRequirements.length,
+      unresolvedGlobalCount: globalRequirements.filter(item => item.registration === 'unresolved').length,
+    };
+  }
+
+  /**
+   * npm包统计的摘要
+   */
+  getExternalPackageStats(externalPackages) {
+    return {
+      externalPackageCount: externalPackages.packages.length,
+      undeclaredPackageCount: externalPackages.undeclared.length,
+      ...(externalPackages.target ? {
+        missingPackageCount: externalPackages.target.missing.length,
+        conflictingPackageCount: externalPackages.target.conflicts.length,
+      } : {}),
+    };
+  }
+
+  /**
+   * 将filePath与filePaths中的文件路径或glob模式（相对baseDir）展开为去重后的入口文件列表
+   * multiEntry表示使用了filePaths或glob，此时响应按多入口的格式返回；
+   * 已存在的文件按字面路径使用，即使路径中含有[]、()、{}等glob字符（如src/pages/[id].vue）
+   */
+  resolveEntryFiles(filePath, filePaths = [], baseDir, exclude = []) {
+    const patterns = [...(filePath ? [filePath] : []), ...filePaths];
+    if (patterns.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'filePath或filePaths参数是必需的');
+    }
+    const isGlobPattern = pattern => hasMagic(pattern, { magicalBraces: true }) &&
+      !fs.existsSync(this.resolvePath(pattern, baseDir));
+
+    const entryFiles = [];
+    const unmatchedPatterns = [];
+    for (const pattern of patterns) {
+      const files = isGlobPattern(pattern)
+        ? globSync(pattern, { cwd: baseDir, absolute: true, nodir: true, ignore: ['**/node_modules/**'] })
+          .filter(file => !this.isExcludedFile(file, baseDir, exclude))
+          .sort()
+        : [this.resolvePath(pattern, baseDir)];
+      if (files.length === 0) {
+        unmatchedPatterns.push(pattern);
+      }
+      files.forEach(file => {
+        if (!entryFiles.includes(file)) {
+          entryFiles.push(file);
+        }
+      });
+    }
+    if (entryFiles.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, `没有匹配的入口文件: ${patterns.join(', ')}`);
+    }
+
+    return {
+      entryFiles,
+      unmatchedPatterns,
+      multiEntry: filePaths.length > 0 || (Boolean(filePath) && isGlobPattern(filePath)),
+    };
+  }
+
+  /**
+   * 递归分析依赖树
+   */
+  async analyzeDependencyTree(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const {
+        filePath,
+        filePaths = [],
+        aliasConfig: explicitAliasConfig,
+        baseDir,
+        maxDepth,
+        autoDetectAliases,
+        includeAsync,
+        exclude,
+        routerFiles,
+        targetProject
+      } = options;
+      const { format = 'tree' } = args;
+
+      const { entryFiles, unmatchedPatterns, multiEntry } = this.resolveEntryFiles(filePath, filePaths, baseDir, exclude);
+      if (!GRAPH_EXPORT_FORMATS.includes(format)) {
+        throw new McpError(ErrorCode.InvalidParams, `不支持的format: ${format}，可选值为 ${GRAPH_EXPORT_FORMATS.join(', ')}`);
+      }
+
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+
+      // 构建依赖图（每个文件只解析一次），再推导依赖树
+      const startTime = Date.now();
+      const treeOptions = this.getTreeOptions(options);
+      const parseCache = this.openParseCache(baseDir, aliasConfig, options);
+      const graph = await this.buildDependencyGraph(entryFiles, aliasConfig, baseDir, maxDepth, { ...treeOptions, parseCache });
+      this.saveParseCache(parseCache);
+      const dependencyTrees = [];
+      if (format === 'tree') {
+        for (const entryFile of entryFiles) {
+          dependencyTrees.push(await this.buildDependencyTree(entryFile, aliasConfig, baseDir, maxDepth, { ...treeOptions, graph }));
+        }
+      }
+      const [dependencyTree] = dependencyTrees;
+
+      // 循环依赖与文件归属都直接从依赖图计算
+      const entryDepths = entryFiles.map(entryFile => this.getGraphDepths(graph, entryFile, maxDepth, includeAsync));
+      const circularDeps = new Map();
+      this.recordGraphCycles(circularDeps, this.getGraphCycleMap(graph, entryDepths, maxDepth, includeAsync), baseDir);
+
+      // 收集所有依赖文件及其引用的npm包
+      const entriesByFile = this.getGraphEntriesByFile(graph, entryFiles, entryDepths, maxDepth, includeAsync);
+      const allDependencies = new Set(entriesByFile.keys());
+      const externalPackages = await this.collectGraphPackages(
+        graph, baseDir, targetProject ? this.resolvePath(targetProject, baseDir) : null
+      );
+      const unresolvedTemplateAssets = this.getUnresolvedTemplateAssets(graph, [...allDependencies]);
+      const globalRequirements = this.getGlobalRequirements(graph, [...allDependencies]);
+      const { nodes, edges } = this.getGraphNodesAndEdges(graph, {
+        includeAsync,
+        routeComponents: format === 'tree' ? new Map() : this.getGraphRouteComponents(graph, routerFiles),
+      });
+
+      // 按format输出嵌套的依赖树或扁平的依赖图；多个入口时每个入口一棵依赖树，并列出每个文件由哪些入口引入
+      const entryInfo = multiEntry ? { entryFiles, unmatchedPatterns } : { entryFile: entryFiles[0] };
+      const output = multiEntry
+        ? { dependencyTrees, entriesByFile: Object.fromEntries(entriesByFile) }
+        : { dependencyTree };
+      if (format === 'json') {
+        output.graph = { nodes, edges };
+      } else if (format === 'mermaid') {
+        output.diagram = this.toMermaidGraph({ nodes, edges });
+      } else if (format === 'dot') {
+        output.diagram = this.toDotGraph({ nodes, edges });
+      }
+      if (format !== 'tree') {
+        delete output.dependencyTree;
+        delete output.dependencyTrees;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              ...entryInfo,
+              format,
+              ...output,
+              allFiles: [...allDependencies],
+              circularDependencies: [...circularDeps.values()],
+              unresolvedTemplateAssets,
+              globalRequirements,
+              externalPackages,
+              aliases,
+              summary: {
+                ...(multiEntry ? { entryCount: entryFiles.length } : {}),
+                totalFiles: allDependencies.size,
+                asyncFiles: this.getGraphAsyncFiles(graph, entryDepths, maxDepth, includeAsync).length,
+                maxDepth: this.getGraphTreeDepth(graph, entryDepths, maxDepth, includeAsync),
+                circularDependencies: [...circularDeps.values()].map(cycle => cycle.chain),
+                hasCircularDeps: circularDeps.size > 0,
+                graphNodes: nodes.length,
+                graphEdges: edges.length,
+                unresolvedTemplateAssetCount: unresolvedTemplateAssets.length,
+                ...this.getGlobalRequirementStats(globalRequirements),
+                ...this.getExternalPackageStats(externalPackages),
+                timings: this.getGraphTimings(graph, startTime),
+                cache: this.getParseCacheStats(parseCache),
+              },
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `分析依赖树时发生错误: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 复制Vue文件及其依赖
+   */
+  async copyVueDependencies(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const { 
+        filePath, 
+        filePaths = [],
+        targetDir, // 默认复制到output目录
+        aliasConfig: explicitAliasConfig, 
+        baseDir, 
+        maxDepth,
+        includeNodeModules,
+        includeAsync,
+        autoDetectAliases,
+        exclude,
+        dryRun = false,
+        writeRouteTodo = false,
+        conflictStrategy,
+        renameSuffix,
+        pathMapping,
+        targetAliasConfig,
+        targetProject
+      } = options;
+
+      const { entryFiles, unmatchedPatterns, multiEntry } = this.resolveEntryFiles(filePath, filePaths, baseDir, exclude);
+      if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `不支持的conflictStrategy: ${conflictStrategy}，可选值为 ${CONFLICT_STRATEGIES.join(', ')}`
+        );
+      }
+
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+
+      // 目标目录（支持相对路径和绝对路径）
+      const resolvedTargetDir = path.isAbsolute(targetDir) ? targetDir : path.resolve(baseDir, targetDir);
+
+      // 传入pathMapping或targetAliasConfig时为搬迁复制：按新的目录结构与目标项目的别名改写引用路径
+      const relocation = Object.keys(pathMapping).length > 0 || targetAliasConfig
+        ? {
+          aliasConfig,
+          baseDir,
+          targetDir: resolvedTargetDir,
+          pathMapping,
+          extensions: options.extensions,
+          targetAliases: this.resolveTargetAliases(targetAliasConfig, resolvedTargetDir, aliasConfig, baseDir, autoDetectAliases),
+          contents: new Map(),
+        }
+        : null;
+
+      // 分析依赖树
+      const startTime = Date.now();
+      const treeOptions = this.getTreeOptions(options);
+      const parseCache = this.openParseCache(baseDir, aliasConfig, options);
+      const graph = await this.buildDependencyGraph(entryFiles, aliasConfig, baseDir, maxDepth, { ...treeOptions, parseCache });
+      if (!dryRun) {
+        this.saveParseCache(parseCache);
+      }
+      const entryDepths = entryFiles.map(entryFile => this.getGraphDepths(graph, entryFile, maxDepth, includeAsync));
+      const timings = this.getGraphTimings(graph, startTime);
+
+      // 入口文件使用的store文件取自依赖图中入口的store边，只对入口文件查找路由信息（代办.md在复制完成后写入）
+      const routesByEntry = new Map();
+      const storeEntries = new Map();
+      for (const entryFile of entryFiles) {
+        try {
+          routesByEntry.set(entryFile, this.findRoutesForFile(entryFile, baseDir, aliasConfig, options.routerFiles));
+        } catch (error) {
+          console.error('处理路由信息时出错:', error.message);
+          routesByEntry.set(entryFile, []);
+        }
+        const node = graph.nodes.get(entryFile);
+        (node ? node.edges : [])
+          .filter(edge => edge.kind === 'store' && edge.to && !edge.error && !edge.excluded)
+          .forEach(edge => {
+            if (!storeEntries.has(edge.to)) {
+              storeEntries.set(edge.to, []);
+            }
+            if (!storeEntries.get(edge.to).includes(entryFile)) {
+              storeEntries.get(edge.to).push(entryFile);
+            }
+          });
+      }
+      const storeFiles = [...storeEntries.keys()];
+      const routes = [...routesByEntry.values()].flat();
+
+      // 每个文件由哪些入口引入（store文件归属于使用它的入口）
+      const entriesByFile = this.getGraphEntriesByFile(graph, entryFiles, entryDepths, maxDepth, includeAsync);
+      storeEntries.forEach((entries, file) => {
+        const fileEntries = entriesByFile.get(file) || [];
+        entriesByFile.set(file, [...new Set([...fileEntries, ...entries])]);
+      });
+
+      // 目标项目默认为带有package.json的targetDir，用于检查缺少或版本不兼容的npm包
+      let targetPackageDir = targetProject ? this.resolvePath(targetProject, baseDir) : null;
+      if (!targetPackageDir && fs.existsSync(path.join(resolvedTargetDir, 'package.json'))) {
+        targetPackageDir = resolvedTargetDir;
+      }
+      const externalPackages = await this.collectGraphPackages(graph, baseDir, targetPackageDir, storeFiles);
+
+      // 生成复制计划（包括依赖树文件和store文件），多个入口共用一次复制
+      const plan = this.buildCopyPlan({
+        entryFiles,
+        files: [...entriesByFile.keys()],
+        storeFiles,
+        entriesByFile: multiEntry ? entriesByFile : null,
+        graph,
+        baseDir,
+        targetDir: resolvedTargetDir,
+        includeNodeModules,
+        includeAsync,
+        conflictStrategy,
+        renameSuffix,
+        pathMapping,
+        relocation
+      });
+
+      const entryInfo = multiEntry ? { entryFiles, unmatchedPatterns } : { sourceFile: entryFiles[0] };
+      if (dryRun) {
+        const countByStatus = status => plan.files.filter(file => file.targetStatus === status).length;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                dryRun: true,
+                ...entryInfo,
+                targetDir: resolvedTargetDir,
+                plan,
+                externalPackages,
+                routes,
+                aliases,
+                summary: {
+                  plannedCount: plan.files.length,
+                  newCount: countByStatus('new'),
+                  identicalCount: countByStatus('identical'),
+                  differentCount: countByStatus('different'),
+                  unresolvedCount: plan.unresolved.length,
+                  unresolvedTemplateAssetCount: plan.unresolvedTemplateAssets.length,
+                  ...this.getGlobalRequirementStats(plan.globalRequirements),
+                  skippedCount: plan.skipped.length,
+                  conflictStrategy,
+                  conflictCount: plan.conflicts.length,
+                  ...this.getRewriteStats(plan, relocation),
+                  ...this.getExternalPackageStats(externalPackages),
+                  totalSize: plan.files.reduce((sum, file) => sum + file.size, 0),
+                  includeNodeModules,
+                  includeAsync,
+                  timings,
+                  cache: this.getParseCacheStats(parseCache),
+                },
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // conflictStrategy为fail时，只要有内容不同的目标文件就终止，不写入任何文件
+      const failedConflicts = plan.conflicts.filter(conflict => conflict.action === 'fail');
+      if (failedConflicts.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                ...entryInfo,
+                targetDir: resolvedTargetDir,
+                error: `目标目录中有${failedConflicts.length}个文件与源文件内容不同，已按conflictStrategy=fail终止复制，未写入任何文件`,
+                conflicts: plan.conflicts,
+              }, null, 2),
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      if (!fs.existsSync(resolvedTargetDir)) {
+        fs.mkdirSync(resolvedTargetDir, { recursive: true });
+      }
+
+      // 按计划复制文件，无法解析的依赖与不存在的文件记入skippedFiles；每个写入的文件记录到复制清单中
+      const manifest = this.createCopyManifest(resolvedTargetDir, entryFiles, baseDir);
+      const copiedFiles = [];
+      const skippedExisting = [];
+      const errors = [...plan.skipped];
+      const unresolvedPaths = new Set();
+      plan.unresolved.forEach(item => {
+        if (item.resolvedPath && !unresolvedPaths.has(item.resolvedPath)) {
+          unresolvedPaths.add(item.resolvedPath);
+          errors.push({ file: item.resolvedPath, error: '文件不存在', importedBy: item.from, source: item.source });
+        }
+      });
+      for (const item of plan.files) {
+        if (item.action === 'skip') {
+          skippedExisting.push({ source: item.source, target: item.target, targetStatus: item.targetStatus });
+          continue;
+        }
+        try {
+          const target = item.action === 'rename' ? item.renamedTarget : item.target;
+          const content = relocation ? relocation.contents.get(item.source) : undefined;
+          await this.writeManifestTarget(manifest, item.source, target, item.action,
+            () => (content !== undefined
+              ? this.writeFileWithDir(target, content)
+              : this.copyFileWithDir(item.source, target)));
+          copiedFiles.push({
+            source: item.source,
+            target,
+            relativePath: item.relativePath,
+            size: item.size,
+            mtime: item.mtime,
+            action: item.action,
+            ...(item.entries ? { entries: item.entries } : {}),
+            ...(item.rewrites ? { rewrites: item.rewrites } : {})
+          });
+        } catch (copyError) {
+          errors.push({ file: item.source, error: copyError.message });
+        }
+      }
+
+      if (writeRouteTodo && routes.length > 0) {
+        try {
+          await this.writeManifestTarget(manifest, null, path.join(resolvedTargetDir, '代办.md'), 'append', async () => {
+            for (const [entryFile, entryRoutes] of routesByEntry) {
+              await this.saveRouteInfoToTodo(entryRoutes, entryFile, baseDir, resolvedTargetDir);
+            }
+          });
+        } catch (error) {
+          console.error('处理路由信息时出错:', error.message);
+        }
+      }
+      const manifestFile = this.saveCopyManifest(manifest);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              ...entryInfo,
+              targetDir: resolvedTargetDir,
+              copyId: manifest.id,
+              manifest: manifestFile,
+              copiedFiles,
+              skippedFiles: errors,
+              skippedExistingFiles: skippedExisting,
+              conflicts: plan.conflicts,
+              ...(relocation ? { unrewritten: plan.unrewritten } : {}),
+              unresolvedTemplateAssets: plan.unresolvedTemplateAssets,
+              globalRequirements: plan.globalRequirements,
+              externalPackages,
+              routes,
+              aliases,
+              summary: {
+                copiedCount: copiedFiles.length,
+                skippedCount: errors.length,
+                conflictStrategy,
+                conflictCount: plan.conflicts.length,
+                overwrittenCount: copiedFiles.filter(file => file.action === 'overwrite').length,
+                renamedCount: copiedFiles.filter(file => file.action === 'rename').length,
+                skippedExistingCount: skippedExisting.length,
+                unresolvedTemplateAssetCount: plan.unresolvedTemplateAssets.length,
+                ...this.getGlobalRequirementStats(plan.globalRequirements),
+                ...this.getRewriteStats(plan, relocation),
+                ...this.getExternalPackageStats(externalPackages),
+                totalSize: copiedFiles.reduce((sum, file) => sum + (file.size || 0), 0),
+                includeNodeModules,
+                includeAsync,
+                asyncFiles: this.getGraphAsyncFiles(graph, entryDepths, maxDepth, includeAsync),
+                timings,
+                cache: this.getParseCacheStats(parseCache),
+              },
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `复制依赖文件时发生错误: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 复制清单所在目录：<targetDir>/.vue-parser/copies/<copyId>
+   */
+  getCopyManifestRoot(targetDir) {
+    return path.join(targetDir, '.vue-parser', 'copies');
+  }
+
+  /**
+   * 创建一次复制的清单（写入文件前调用，保存前只存在于内存中）
+   */
+  createCopyManifest(targetDir, sourceFiles, baseDir) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    const id = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    return {
+      version: 1,
+      id,
+      dir: path.join(this.getCopyManifestRoot(targetDir), id),
+      createdAt: new Date().toISOString(),
+      sourceFiles,
+      baseDir,
+      targetDir,
+      files: [],
+    };
+  }
+
+  /**
+   * 写入目标文件并记录到复制清单
+   * 目标文件已存在时先备份到清单目录的backup下，写入后记录内容哈希，供undo_copy判断文件是否在复制后被修改
+   */
+  async writeManifestTarget(manifest, source, target, action, write) {
+    const existedBefore = fs.existsSync(target);
+    let backup = null;
+    if (existedBefore) {
+      backup = path.join('backup', path.relative(manifest.targetDir, target));
+      const backupPath = path.join(manifest.dir, backup);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.copyFileSync(target, backupPath);
+    }
+
+    await write();
+    if (!fs.existsSync(target)) {
+      return;
+    }
+    manifest.files.push({
+      source,
+      target,
+      action,
+      hash: this.hashFile(target),
+      existedBefore,
+      backup,
+    });
+  }
+
+  /**
+   * 保存复制清单，返回清单文件路径；没有写入任何文件时不保存
+   */
+  saveCopyManifest(manifest) {
+    if (manifest.files.length === 0) {
+      return null;
+    }
+    const { dir, ...data } = manifest;
+    const manifestFile = path.join(dir, 'manifest.json');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(manifestFile, JSON.stringify(data, null, 2));
+    return manifestFile;
+  }
+
+  /**
+   * 删除文件后清理复制时创建、现已为空的目录（不超出stopDir）
+   */
+  removeEmptyParentDirs(filePath, stopDir) {
+    let dir = path.dirname(filePath);
+    while (dir.startsWith(stopDir + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * 撤销一次复制（undo_copy工具）
+   * 根据复制清单恢复被覆盖的文件、删除新建的文件；复制后被修改或删除的文件不做处理并在refusedFiles中说明
+   */
+  async undoCopy(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const { targetDir, baseDir } = options;
+      const { copyId = null, dryRun = false } = args;
+
+      const resolvedTargetDir = path.isAbsolute(targetDir) ? targetDir : path.resolve(baseDir, targetDir);
+      const manifestRoot = this.getCopyManifestRoot(resolvedTargetDir);
+      const readManifest = id => JSON.parse(fs.readFileSync(path.join(manifestRoot, id, 'manifest.json'), 'utf-8'));
+
+      // 未指定copyId时撤销最近一次尚未撤销的复制
+      let id = copyId;
+      if (!id) {
+        const ids = fs.existsSync(manifestRoot)
+          ? fs.readdirSync(manifestRoot)
+            .filter(item => fs.existsSync(path.join(manifestRoot, item, 'manifest.json')))
+            .sort()
+            .reverse()
+          : [];
+        id = ids.find(item => !readManifest(item).undo);
+        if (!id) {
+          throw new McpError(ErrorCode.InvalidParams, `目标目录中没有可撤销的复制记录: ${resolvedTargetDir}`);
+        }
+      }
+      const manifestFile = path.join(manifestRoot, id, 'manifest.json');
+      if (!fs.existsSync(manifestFile)) {
+        throw new McpError(ErrorCode.InvalidParams, `复制记录不存在: ${manifestFile}`);
+      }
+      const manifest = readManifest(id);
+      if (manifest.undo) {
+        throw new McpError(ErrorCode.InvalidParams, `复制记录 ${id} 已于 ${manifest.undo.undoneAt} 撤销`);
+      }
+
+      const restoredFiles = [];
+      const deletedFiles = [];
+      const refusedFiles = [];
+      // 倒序处理，同一文件被多次写入时按相反顺序恢复
+      for (const entry of [...manifest.files].reverse()) {
+        const currentHash = fs.existsSync(entry.target) ? this.hashFile(entry.target) : null;
+        if (currentHash !== entry.hash) {
+          refusedFiles.push({
+            target: entry.target,
+            reason: currentHash === null ? '文件在复制后被删除' : '文件在复制后被修改',
+          });
+          continue;
+        }
+
+        if (entry.existedBefore) {
+          if (!dryRun) {
+            fs.copyFileSync(path.join(manifestRoot, id, entry.backup), entry.target);
+          }
+          restoredFiles.push(entry.target);
+        } else {
+          if (!dryRun) {
+            fs.unlinkSync(entry.target);
+            this.removeEmptyParentDirs(entry.target, resolvedTargetDir);
+          }
+          deletedFiles.push(entry.target);
+        }
+      }
+
+      if (!dryRun) {
+        manifest.undo = {
+          undoneAt: new Date().toISOString(),
+          restoredFiles,
+          deletedFiles,
+          refusedFiles,
+        };
+        fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              dryRun,
+              copyId: id,
+              manifest: manifestFile,
+              sourceFiles: manifest.sourceFiles,
+              restoredFiles,
+              deletedFiles,
+              refusedFiles,
+              summary: {
+                restoredCount: restoredFiles.length,
+                deletedCount: deletedFiles.length,
+                refusedCount: refusedFiles.length,
+              },
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `撤销复制时发生错误: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 生成复制计划
+   * files：每个待复制文件的source、target、大小、目标文件状态（new/identical/different）、按conflictStrategy确定的action及被引入的原因（reasons）
+   * unresolved：依赖图中无法解析的依赖及引用位置；skipped：不存在或不是文件的路径
+   * unresolvedTemplateAssets：待复制文件的template中找不到注册的组件、指令与过滤器
+   * globalRequirements：待复制文件使用的全局属性与注入键及其安装位置
+   * conflicts：目标文件已存在的文件，内容不同时附带unified diff
+   */
+  buildCopyPlan({
+    entryFiles,
+    files,
+    storeFiles = [],
+    entriesByFile = null,
+    graph,
+    baseDir,
+    targetDir,
+    includeNodeModules = false,
+    includeAsync = true,
+    conflictStrategy = 'overwrite',
+    renameSuffix = '.incoming',
+    pathMapping = {},
+    relocation = null
+  }) {
+    // 每个文件被哪些文件、以何种方式引入
+    const reasonsByFile = new Map();
+    const addReason = (file, reason) => {
+      if (!reasonsByFile.has(file)) {
+        reasonsByFile.set(file, []);
+      }
+      reasonsByFile.get(file).push(reason);
+    };
+    const unresolved = [];
+    for (const node of graph.nodes.values()) {
+      for (const edge of node.edges) {
+        if (edge.kind === 'async' && !includeAsync) {
+          continue;
+        }
+        // 引用位置取自依赖边，template与style中的引用指向各自的src、require、@import或url()，store引用指向使用的命名空间或use*Store调用
+        const reason = { from: edge.from, kind: edge.kind, importKind: edge.importKind, source: edge.source, line: edge.line };
+        if (edge.to && !edge.error) {
+          addReason(edge.to, reason);
+        } else {
+          unresolved.push({
+            ...reason,
+            resolvedPath: edge.fullDepPath || null,
+            reason: edge.error || '无法解析依赖路径：文件不存在或扩展名不受支持',
+          });
+        }
+      }
+    }
+
+    const planFiles = [];
+    const skipped = [];
+    const conflicts = [];
+    const unrewritten = [];
+    const seen = new Set();
+    const reservedTargets = new Set();
+    for (const file of [...entryFiles, ...files, ...storeFiles]) {
+      if (seen.has(file) || (!includeNodeModules && file.includes('node_modules'))) {
+        continue;
+      }
+      seen.add(file);
+
+      const fileInfo = this.checkFileExists(file);
+      if (!fileInfo.exists || !fileInfo.isFile) {
+        // 无法解析的依赖已在unresolved中说明
+        if (!unresolved.some(item => item.resolvedPath === file)) {
+          skipped.push({
+            file,
+            error: fileInfo.exists ? '不是文件' : '文件不存在',
+            details: fileInfo.error
+          });
+        }
+        continue;
+      }
+
+      const relativePath = path.relative(baseDir, file);
+      const target = this.getRelocatedPath(file, baseDir, targetDir, pathMapping);
+
+      // 搬迁复制时先改写引用路径，再用改写后的内容与目标文件比较
+      let rewrites = null;
+      let content = null;
+      if (relocation && REWRITABLE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        const result = this.rewriteFileSpecifiers(file, relocation);
+        unrewritten.push(...result.unrewritten);
+        rewrites = result.rewrites;
+        if (rewrites.length > 0) {
+          content = result.content;
+          relocation.contents.set(file, content);
+        }
+      }
+
+      const targetStatus = this.compareTargetFile(file, target, content);
+      const action = this.getConflictAction(targetStatus, conflictStrategy);
+      const renamedTarget = action === 'rename' ? this.getRenamedTarget(target, renameSuffix, reservedTargets) : null;
+      planFiles.push({
+        source: file,
+        target,
+        relativePath,
+        size: fileInfo.size,
+        mtime: fileInfo.mtime,
+        targetStatus,
+        action,
+        ...(renamedTarget ? { renamedTarget } : {}),
+        ...(entryFiles.includes(file) ? { entry: true } : {}),
+        ...(entriesByFile ? { entries: entriesByFile.get(file) || [] } : {}),
+        ...(rewrites ? { rewrites } : {}),
+        reasons: reasonsByFile.get(file) || [],
+      });
+
+      if (targetStatus !== 'new') {
+        conflicts.push({
+          source: file,
+          target,
+          targetStatus,
+          action,
+          ...(renamedTarget ? { renamedTarget } : {}),
+          ...(targetStatus === 'different' ? this.diffFiles(target, file, relativePath, content) : {}),
+        });
+      }
+    }
+
+    return {
+      files: planFiles,
+      unresolved,
+      unresolvedTemplateAssets: this.getUnresolvedTemplateAssets(graph, planFiles.map(file => file.source)),
+      globalRequirements: this.getGlobalRequirements(graph, planFiles.map(file => file.source)),
+      skipped,
+      conflicts,
+      ...(relocation ? { unrewritten } : {}),
+    };
+  }
+
+  /**
+   * 搬迁复制时的改写统计，非搬迁复制时为空
+   */
+  getRewriteStats(plan, relocation) {
+    if (!relocation) {
+      return {};
+    }
+    const rewrittenFiles = plan.files.filter(file => file.rewrites && file.rewrites.length > 0);
+    return {
+      relocated: true,
+      rewrittenFileCount: rewrittenFiles.length,
+      rewriteCount: rewrittenFiles.reduce((sum, file) => sum + file.rewrites.length, 0),
+      unrewrittenCount: plan.unrewritten.length,
+    };
+  }
+
+  /**
+   * 按pathMapping计算文件在目标目录中的位置
+   * 键为相对baseDir的源路径前缀，值为相对targetDir的目标路径，最长匹配优先；未命中的文件保持相对baseDir的路径
+   */
+  getRelocatedPath(file, baseDir, targetDir, pathMapping = {}) {
+    const relativePath = path.relative(baseDir, file);
+    const rules = Object.entries(pathMapping)
+      .map(([from, to]) => [path.relative(baseDir, this.resolvePath(from, baseDir)), to])
+      .sort(([a], [b]) => b.length - a.length);
+    for (const [from, to] of rules) {
+      if (relativePath === from || relativePath.startsWith(from + path.sep)) {
+        return path.join(path.resolve(targetDir, to), relativePath.slice(from.length));
+      }
+    }
+    return path.join(targetDir, relativePath);
+  }
+
+  /**
+   * 确定改写引用路径时使用的目标项目别名，返回 [{ alias, dir }]，目录更具体的别名在前
+   * 未传入targetAliasConfig时从targetDir自动检测；检测不到时沿用源项目的别名，指向baseDir内的目录平移到targetDir
+   */
+  resolveTargetAliases(targetAliasConfig, targetDir, aliasConfig, baseDir, autoDetect = true) {
+    let entries;
+    const detected = !targetAliasConfig && autoDetect ? this.detectProjectAliases(targetDir) : [];
+    if (targetAliasConfig) {
+      entries = Object.entries(targetAliasConfig).map(([alias, aliasPath]) => [alias, path.resolve(targetDir, aliasPath)]);
+    } else if (detected.length > 0) {
+      entries = detected.map(({ alias, path: aliasPath }) => [alias, path.resolve(targetDir, aliasPath)]);
+    } else {
+      entries = Object.entries(aliasConfig).map(([alias, aliasPath]) => {
+        const dir = this.resolvePath(aliasPath, baseDir);
+        const relativeDir = path.relative(baseDir, dir);
+        return [alias, relativeDir.startsWith('..') ? dir : path.join(targetDir, relativeDir)];
+      });
+    }
+    return entries
+      // webpack的精确匹配别名（如vue$）指向具体文件，不用于改写
+      .filter(([alias]) => !alias.endsWith('$'))
+      .map(([alias, dir]) => ({ alias, dir }))
+      .sort((a, b) => b.dir.length - a.dir.length);
+  }
+
+  /**
+   * 找出文件中写死的引用路径及其位置，返回 [{ start, end, value, line, directory, expression }]
+   * 包括import/export from/require()/import()/require.context、template的src与require()、样式的@import与url()；
+   * 模板字符串、字符串拼接的require()/import()与import.meta.glob的模式只取开头的静态目录（directory为true），
+   * expression为完整的引用表达式；没有静态目录前缀时value、start、end为null
+   */
+  collectPathSpecifiers(content, filePath, parsedDescriptor = null) {
+    const specifiers = [];
+    const ext = path.extname(filePath).toLowerCase();
+    const lineAt = offset => content.slice(0, offset).split('\n').length;
+
+    const addMatches = (text, offset, regex) => {
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const start = offset + match.index + match[0].indexOf(match[1]);
+        specifiers.push({ start, end: start + match[1].length, value: match[1], line: lineAt(start) });
+      }
+    };
+    const addTemplate = (text, offset) => {
+      addMatches(text, offset, /(?<!:)src=["']([^"']+)["']/g);
+      addMatches(text, offset, /require\(["']([^"']+)["']\)/g);
+      // 部分动态的require()，如 require(`@/assets/icons/${name}.png`)，只取开头的静态目录
+      const dynamicRegex = /require\((\s*)([^()]*)\)/g;
+      let match;
+      while ((match = dynamicRegex.exec(text)) !== null) {
+        const argumentCode = match[2].trim();
+        if (!/[`+]/.test(argumentCode)) {
+          continue;
+        }
+        const prefix = argumentCode.match(/^[`'"]([^`'"$\\]*)/);
+        const dirEnd = prefix ? prefix[1].lastIndexOf('/') : -1;
+        const line = lineAt(offset + match.index);
+        if (dirEnd < 1) {
+          specifiers.push({ start: null, end: null, value: null, line, directory: true, expression: argumentCode });
+          continue;
+        }
+        const start = offset + match.index + 'require('.length + match[1].length + 1;
+        specifiers.push({ start, end: start + dirEnd, value: prefix[1].slice(0, dirEnd), line, directory: true, expression: argumentCode });
+      }
+    };
+    const addStyle = (text, offset) => {
+      addMatches(text, offset, /@import\s+["']([^"']+)["']/g);
+      addMatches(text, offset, /url\(["']?([^"')]+)["']?\)/g);
+    };
+    const addScript = (text, offset, lang, startLine) => {
+      const ast = this.parseScriptAst(text, lang, filePath, startLine);
+      // 部分动态的路径取开头字符串中最后一个/之前的目录，如 '../../locales/' + lang 中的../../locales
+      const addPrefix = (node, prefixNode, prefix) => {
+        const expression = text.slice(node.start, node.end);
+        const dirEnd = prefix === null ? -1 : prefix.lastIndexOf('/');
+        if (dirEnd < 1) {
+          specifiers.push({ start: null, end: null, value: null, line: node.loc.start.line, directory: true, expression });
+          return;
+        }
+        const start = offset + prefixNode.start + 1;
+        specifiers.push({ start, end: start + dirEnd, value: prefix.slice(0, dirEnd), line: node.loc.start.line, directory: true, expression });
+      };
+      const addDynamicNode = (node) => {
+        let prefixNode = node;
+        while (prefixNode.type === 'BinaryExpression' && prefixNode.operator === '+') {
+          prefixNode = prefixNode.left;
+        }
+        let prefix = null;
+        if (prefixNode.type === 'TemplateLiteral' && prefixNode.quasis[0].value.raw === prefixNode.quasis[0].value.cooked) {
+          prefix = prefixNode.quasis[0].value.raw;
+        } else if (prefixNode.type === 'StringLiteral' && prefixNode.extra && prefixNode.extra.raw.slice(1, -1) === prefixNode.value) {
+          prefix = prefixNode.value;
+        }
+        addPrefix(node, prefixNode, prefix);
+      };
+      const addNode = (node, directory = false) => {
+        const value = node ? this.getStaticString(node) : null;
+        if (value !== null) {
+          // 去掉两侧引号，只替换路径本身
+          specifiers.push({ start: offset + node.start + 1, end: offset + node.end - 1, value, line: node.loc.start.line, directory });
+        } else if (node && (node.type === 'TemplateLiteral' || node.type === 'BinaryExpression')) {
+          addDynamicNode(node);
+        }
+      };
+      // import.meta.glob的模式取第一个通配符之前的部分，排除模式（!开头）不改写
+      const addGlobPattern = (node) => {
+        const pattern = this.getStaticString(node);
+        if (pattern === null || pattern.startsWith('!') || node.extra.raw.slice(1, -1) !== pattern) {
+          return;
+        }
+        const magicIndex = pattern.search(/[*?{[]/);
+        addPrefix(node, node, magicIndex === -1 ? pattern : pattern.slice(0, magicIndex));
+      };
+      walk(ast.program, {
+        enter: (node) => {
+          switch (node.type) {
+            case 'ImportDeclaration':
+            case 'ExportNamedDeclaration':
+            case 'ExportAllDeclaration':
+              addNode(node.source);
+              break;
+            case 'TSImportEqualsDeclaration':
+              if (node.moduleReference.type === 'TSExternalModuleReference') {
+                addNode(node.moduleReference.expression);
+              }
+              break;
+            case 'TSImportType':
+              addNode(node.argument.type === 'TSLiteralType' ? node.argument.literal : node.argument);
+              break;
+            case 'ImportExpression':
+              addNode(node.source);
+              break;
+            case 'CallExpression':
+              if (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require')) {
+                const [request] = node.arguments;
+                if (request && request.type === 'ArrayExpression') {
+                  request.elements.forEach(element => addNode(element));
+                } else {
+                  addNode(request);
+                }
+              } else if (this.isRequireContextCall(node)) {
+                addNode(node.arguments[0], true);
+              } else if (this.isImportMetaGlobCall(node) && node.arguments[0]) {
+                const [patterns] = node.arguments;
+                (patterns.type === 'ArrayExpression' ? patterns.elements : [patterns])
+                  .filter(element => element && element.type === 'StringLiteral')
+                  .forEach(addGlobPattern);
+              }
+              break;
+          }
+        },
+      });
+    };
+
+    if (ext === '.vue') {
+      const { descriptor, errors } = parsedDescriptor
+        ? { descriptor: parsedDescriptor, errors: [] }
+        : parse(content, { filename: filePath });
+      if (errors.length > 0) {
+        throw new Error(errors.map(error => error.message).join(', '));
+      }
+      if (descriptor.template) {
+        addTemplate(descriptor.template.content, descriptor.template.loc.start.offset);
+      }
+      [descriptor.script, descriptor.scriptSetup].filter(Boolean).forEach(block => {
+        addScript(block.content, block.loc.start.offset, block.lang || 'js', block.loc.start.line);
+      });
+      descriptor.styles.forEach(block => addStyle(block.content, block.loc.start.offset));
+    } else if (['.css', '.scss', '.sass', '.less'].includes(ext)) {
+      addStyle(content, 0);
+    } else {
+      const lang = { '.ts': 'ts', '.tsx': 'tsx' }[ext] || 'js';
+      addScript(content, 0, lang, 1);
+    }
+    return specifiers;
+  }
+
+  /**
+   * 按搬迁后的目录结构与目标项目的别名改写文件中的引用路径
+   * 依赖的新位置按pathMapping推算（无论是否被复制）；返回改写后的内容、改写记录与无法改写的引用
+   */
+  rewriteFileSpecifiers(filePath, relocation) {
+    const { aliasConfig, baseDir, targetDir, pathMapping, extensions = [], targetAliases } = relocation;
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const newFile = this.getRelocatedPath(filePath, baseDir, targetDir, pathMapping);
+    const rewrites = [];
+    const unrewritten = [];
+
+    let specifiers;
+    try {
+      specifiers = this.collectPathSpecifiers(content, filePath);
+    } catch (error) {
+      unrewritten.push({ file: filePath, line: null, source: null, reason: `文件解析失败: ${error.message}` });
+      return { content, rewrites, unrewritten };
+    }
+
+    // 引用路径使用的源项目别名（最长匹配）
+    const getSourceAlias = value => Object.keys(aliasConfig)
+      .filter(alias => value === alias || value.startsWith(`${alias}/`))
+      .sort((a, b) => b.length - a.length)[0];
+    // 被移到baseDir之外的依赖保持原位置
+    const locate = file => (path.relative(baseDir, file).startsWith('..')
+      ? file
+      : this.getRelocatedPath(file, baseDir, targetDir, pathMapping));
+
+    specifiers
+      .filter(specifier => specifier.value === null)
+      .forEach(({ line, expression }) => {
+        unrewritten.push({ file: filePath, line, source: expression, reason: '动态路径没有可改写的静态目录前缀' });
+      });
+
+    let result = content;
+    const staticSpecifiers = specifiers.filter(specifier => specifier.value !== null);
+    for (const specifier of staticSpecifiers.sort((a, b) => b.start - a.start)) {
+      const { value, line, directory, expression } = specifier;
+      const request = value.startsWith('~') ? value.slice(1) : value;
+      const isRelative = request.startsWith('./') || request.startsWith('../') || request === '.' || request === '..';
+      const sourceAlias = getSourceAlias(request);
+      if (!this.isLocalFile(value, aliasConfig) || (!isRelative && !sourceAlias)) {
+        continue;
+      }
+
+      // 保持原有写法：省略扩展名、引用目录的index文件、require.context的目录
+      const { fullDepPath, actualFilePath } = this.resolveDependencyPath(value, filePath, aliasConfig, baseDir, extensions);
+      let newPath = null;
+      if (directory) {
+        newPath = this.checkFileExists(fullDepPath).isDirectory ? locate(fullDepPath) : null;
+      } else if (actualFilePath === fullDepPath) {
+        newPath = locate(actualFilePath);
+      } else if (actualFilePath && path.dirname(actualFilePath) === fullDepPath) {
+        newPath = path.dirname(locate(actualFilePath));
+      } else if (actualFilePath && actualFilePath.startsWith(fullDepPath)) {
+        const relocated = locate(actualFilePath);
+        newPath = relocated.slice(0, relocated.length - (actualFilePath.length - fullDepPath.length));
+      }
+      if (!newPath) {
+        unrewritten.push({ file: filePath, line, source: expression || value, reason: '无法解析引用路径' });
+        continue;
+      }
+
+      const newValue = this.formatRelocatedSpecifier(value, sourceAlias, newFile, newPath, targetAliases);
+      if (newValue !== value) {
+        result = result.slice(0, specifier.start) + newValue + result.slice(specifier.end);
+        rewrites.push({ line, from: value, to: newValue, ...(expression ? { expression } : {}) });
+      }
+    }
+
+    return { content: result, rewrites: rewrites.reverse(), unrewritten: unrewritten.reverse() };
+  }
+
+  /**
+   * 生成搬迁后的引用路径
+   * 相对路径保持相对；别名路径优先使用原别名，原别名在目标项目中不覆盖新位置时换用其他别名，都不覆盖时改为相对路径
+   */
+  formatRelocatedSpecifier(value, sourceAlias, newFile, newPath, targetAliases) {
+    const toPosix = filePath => filePath.split(path.sep).join('/');
+    if (sourceAlias) {
+      const covers = ({ dir }) => newPath === dir || newPath.startsWith(dir + path.sep);
+      const alias = targetAliases.find(item => item.alias === sourceAlias && covers(item)) || targetAliases.find(covers);
+      if (alias) {
+        const rest = toPosix(path.relative(alias.dir, newPath));
+        const prefix = value.startsWith('~') ? '~' : '';
+        return prefix + (rest ? `${alias.alias}/${rest}` : alias.alias);
+      }
+    }
+    const relativePath = toPosix(path.relative(path.dirname(newFile), newPath));
+    if (!relativePath) {
+      return '.';
+    }
+    return relativePath === '..' || relativePath.startsWith('../') ? relativePath : `./${relativePath}`;
+  }
+
+  /**
+   * 按conflictStrategy确定目标文件已存在时的处理方式
+   * 返回copy（目标不存在）、overwrite、skip、rename（写入带后缀的文件名）或fail
+   */
+  getConflictAction(targetStatus, conflictStrategy) {
+    if (targetStatus === 'new') {
+      return 'copy';
+    }
+    if (conflictStrategy === 'overwrite') {
+      return 'overwrite';
+    }
+    if (targetStatus === 'identical' || conflictStrategy === 'skip') {
+      return 'skip';
+    }
+    if (conflictStrategy === 'skip-if-identical') {
+      return 'overwrite';
+    }
+    return conflictStrategy === 'rename-with-suffix' ? 'rename' : 'fail';
+  }
+
+  /**
+   * 生成带后缀且不与已有文件冲突的目标路径，如 list.vue -> list.incoming.vue、list.incoming-2.vue
+   */
+  getRenamedTarget(target, suffix, reservedTargets) {
+    const ext = path.extname(target);
+    const base = target.slice(0, target.length - ext.length);
+    let candidate = `${base}${suffix}${ext}`;
+    for (let i = 2; fs.existsSync(candidate) || reservedTargets.has(candidate); i++) {
+      candidate = `${base}${suffix}-${i}${ext}`;
+    }
+    reservedTargets.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * 生成目标文件（旧）与源文件（新）之间的unified diff，二进制文件只标记binary
+   */
+  diffFiles(targetPath, sourcePath, relativePath, sourceContent = null) {
+    const oldContent = fs.readFileSync(targetPath);
+    const newContent = sourceContent !== null ? Buffer.from(sourceContent) : fs.readFileSync(sourcePath);
+    if (oldContent.includes(0) || newContent.includes(0)) {
+      return { binary: true };
+    }
+    return {
+      diff: this.createUnifiedDiff(
+        oldContent.toString('utf-8'),
+        newContent.toString('utf-8'),
+        `a/${relativePath}`,
+        `b/${relativePath}`
+      ),
+    };
+  }
+
+  /**
+   * 生成unified diff文本
+   * 先去掉首尾相同的行，再对中间部分做LCS；中间部分过大时整体作为一次替换
+   */
+  createUnifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+    // 文件末尾的换行不单独算作一行
+    const toLines = text => (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+    const a = toLines(oldText);
+    const b = toLines(newText);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const changes = [];
+    if (midA.length * midB.length <= 16000000) {
+      // lcs[i * width + j]为midA[i:]与midB[j:]的最长公共子序列长度
+      const width = midB.length + 1;
+      const lcs = new Uint32Array((midA.length + 1) * width);
+      for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+          lcs[i * width + j] = midA[i] === midB[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+          changes.push({ type: ' ', line: midA[i] });
+          i++;
+          j++;
+        } else if (i < midA.length && (j >= midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+          changes.push({ type: '-', line: midA[i++] });
+        } else {
+          changes.push({ type: '+', line: midB[j++] });
+        }
+      }
+    } else {
+      midA.forEach(line => changes.push({ type: '-', line }));
+      midB.forEach(line => changes.push({ type: '+', line }));
+    }
+
+    const ops = [
+      ...a.slice(0, start).map(line => ({ type: ' ', line })),
+      ...changes,
+      ...a.slice(endA).map(line => ({ type: ' ', line })),
+    ];
+    let oldLine = 1;
+    let newLine = 1;
+    ops.forEach(op => {
+      op.oldLine = oldLine;
+      op.newLine = newLine;
+      if (op.type !== '+') {
+        oldLine++;
+      }
+      if (op.type !== '-') {
+        newLine++;
+      }
+    });
+
+    // 相邻变更之间不超过2*context行时合并为一个hunk
+    const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (let k = 0; k < changed.length; k++) {
+      const hunkStart = Math.max(0, changed[k] - context);
+      let lastChange = changed[k];
+      while (k + 1 < changed.length && changed[k + 1] - lastChange <= context * 2 + 1) {
+        lastChange = changed[++k];
+      }
+      const hunk = ops.slice(hunkStart, Math.min(ops.length, lastChange + context + 1));
+      const oldCount = hunk.filter(op => op.type !== '+').length;
+      const newCount = hunk.filter(op => op.type !== '-').length;
+      const oldStart = oldCount > 0 ? hunk[0].oldLine : hunk[0].oldLine - 1;
+      const newStart = newCount > 0 ? hunk[0].newLine : hunk[0].newLine - 1;
+      lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      hunk.forEach(op => lines.push(`${op.type}${op.line}`));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * 比较源文件与目标文件：new（目标不存在）、identical（内容相同）、different（内容不同）
+   */
+  compareTargetFile(sourcePath, targetPath, sourceContent = null) {
+    if (!fs.existsSync(targetPath)) {
+      return 'new';
+    }
+    const source = sourceContent !== null ? Buffer.from(sourceContent) : fs.readFileSync(sourcePath);
+    const target = fs.readFileSync(targetPath);
+    return source.equals(target) ? 'identical' : 'different';
+  }
+
+  /**
+   * 打开磁盘解析缓存（options.cache为true时）
+   * 缓存按配置分文件存放：别名、扩展名、store入口等设置变化时使用新的缓存文件，旧文件在保存时删除
+   */
+  openParseCache(baseDir, aliasConfig, options = {}) {
+    const { cache = false, cacheDir = DEFAULT_TOOL_OPTIONS.cacheDir, extensions = [], storeEntry = null } = options;
+    if (!cache) {
+      return null;
+    }
+
+    const configHash = crypto.createHash('sha1')
+      .update(JSON.stringify({ version: PARSE_CACHE_VERSION, baseDir, aliasConfig, extensions, storeEntry }))
+      .digest('hex')
+      .slice(0, 16);
+    const dir = path.resolve(baseDir, cacheDir);
+    const file = path.join(dir, `${PARSE_CACHE_FILE_PREFIX}${configHash}.json`);
+    let entries = {};
+    try {
+      if (fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        if (data.version === PARSE_CACHE_VERSION) {
+          entries = data.entries || {};
+        }
+      }
+    } catch (error) {
+      console.error(`读取解析缓存失败 (${file}):`, error.message);
+    }
+    return { dir, file, configHash, entries, hits: 0, misses: 0, dirty: false };
+  }
+
+  /**
+   * 判断文件是否为本工具写入的解析缓存（文件名带固定前缀，内容包含version与configHash）
+   */
+  isParseCacheFile(filePath) {
+    if (!new RegExp(`^${PARSE_CACHE_FILE_PREFIX}[0-9a-f]{16}\\.json$`).test(path.basename(filePath))) {
+      return false;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return Boolean(data) && typeof data.version === 'number' && typeof data.configHash === 'string' &&
+        path.basename(filePath) === `${PARSE_CACHE_FILE_PREFIX}${data.configHash}.json`;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 将解析缓存写回磁盘，并删除其他配置下的旧缓存文件（只删除本工具写入的缓存文件）
+   */
+  saveParseCache(parseCache) {
+    if (!parseCache || !parseCache.dirty) {
+      return;
+    }
+    try {
+      fs.mkdirSync(parseCache.dir, { recursive: true });
+      for (const item of fs.readdirSync(parseCache.dir)) {
+        const itemPath = path.join(parseCache.dir, item);
+        if (item !== path.basename(parseCache.file) && this.isParseCacheFile(itemPath)) {
+          fs.unlinkSync(itemPath);
+        }
+      }
+      fs.writeFileSync(parseCache.file, JSON.stringify({
+        version: PARSE_CACHE_VERSION,
+        configHash: parseCache.configHash,
+        entries: parseCache.entries,
+      }));
+      parseCache.dirty = false;
+    } catch (error) {
+      console.error(`写入解析缓存失败 (${parseCache.file}):`, error.message);
+    }
+  }
+
+  /**
+   * 解析缓存的命中统计
+   */
+  getParseCacheStats(parseCache) {
+    if (!parseCache) {
+      return { enabled: false };
+    }
+    return { enabled: true, dir: parseCache.dir, hits: parseCache.hits, misses: parseCache.misses };
+  }
+
+  /**
+   * 计算文件内容的哈希
+   */
+  hashFile(filePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  /**
+   * 获取文件或目录的修改时间，不存在时返回null
+   */
+  getMtimeMs(filePath) {
+    try {
+      return fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 收集解析结果所依赖的其他文件和目录（及其当前修改时间）
+   * require.context、import.meta.glob与动态路径依赖目录内容，Vuex/Pinia依赖store文件，模板中的组件、指令、过滤器与全局属性依赖全局注册；这些路径变化时缓存失效
+   */
+  collectCacheWatchPaths(analysis, baseDir, storeEntry = null) {
+    const paths = new Set();
+    const addDirectory = (dir, recursive = true) => {
+      paths.add(dir);
+      if (!recursive || !fs.existsSync(dir)) {
+        return;
+      }
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (item.isDirectory() && item.name !== 'node_modules') {
+          addDirectory(path.join(dir, item.name), recursive);
+        }
+      }
+    };
+
+    analysis.scriptImports
+      .filter(dep => dep.context)
+      .forEach(dep => addDirectory(dep.context.directory, dep.context.recursive !== false));
+    analysis.dynamicCandidates.forEach(group => addDirectory(group.directory));
+    // 全局注册与组件声明文件变化时，模板中组件、指令与过滤器的解析结果可能改变
+    analysis.globalRegistrationSources.forEach(source => paths.add(source));
+
+    if (analysis.hasVuex) {
+      const storeEntryFile = this.findStoreEntry(baseDir, storeEntry);
+      if (storeEntryFile) {
+        paths.add(storeEntryFile);
+      }
+      analysis.vuexModules.forEach(vuexModule => paths.add(vuexModule.file));
+    }
+    if (analysis.hasPinia) {
+      for (const dir of this.findPiniaStoreDirs(baseDir, storeEntry)) {
+        addDirectory(dir);
+        this.getAllFilesInDirectory(dir).forEach(file => paths.add(file));
+      }
+    }
+
+    return [...paths].map(watchPath => [watchPath, this.getMtimeMs(watchPath)]);
+  }
+
+  /**
+   * 判断缓存条目是否仍然有效
+   * 修改时间与大小一致时直接命中；仅修改时间变化（如git checkout）时比较内容哈希
+   */
+  isParseCacheEntryValid(parseCache, entry, filePath, stat) {
+    if (entry.mtimeMs !== stat.mtimeMs || entry.size !== stat.size) {
+      if (entry.size !== stat.size || entry.hash !== this.hashFile(filePath)) {
+        return false;
+      }
+      entry.mtimeMs = stat.mtimeMs;
+      parseCache.dirty = true;
+    }
+    return entry.watch.every(([watchPath, mtimeMs]) => this.getMtimeMs(watchPath) === mtimeMs);
+  }
+
+  /**
+   * 带磁盘缓存的analyzeFile（options.parseCache为openParseCache返回的缓存）
+   */
+  async analyzeFileCached(filePath, aliasConfig, baseDir, options = {}) {
+    const { parseCache = null, storeEntry = null } = options;
+    if (!parseCache) {
+      return this.analyzeFile(filePath, aliasConfig, baseDir, options);
+    }
+
+    const stat = fs.statSync(filePath);
+    const entry = parseCache.entries[filePath];
+    if (entry && this.isParseCacheEntryValid(parseCache, entry, filePath, stat)) {
+      parseCache.hits++;
+      return entry.result;
+    }
+
+    parseCache.misses++;
+    const result = await this.analyzeFile(filePath, aliasConfig, baseDir, options);
+    parseCache.entries[filePath] = {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      hash: this.hashFile(filePath),
+      watch: this.collectCacheWatchPaths(result, baseDir, storeEntry),
+      result,
+    };
+    parseCache.dirty = true;
+    return result;
+  }
+
+  /**
+   * 并发执行异步任务，同时进行的任务数不超过limit
+   */
+  async runConcurrent(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const current = nextIndex++;
+        results[current] = await worker(items[current], current);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    return results;
+  }
+
+  /**
+   * 创建一次请求使用的依赖图
+   * nodes：文件 -> { file, depth, edges, error }，每个文件最多读取和解析一次
+   */
+  createDependencyGraph(aliasConfig, baseDir, options = {}) {
+    return {
+      aliasConfig,
+      baseDir,
+      options,
+      nodes: new Map(),
+      pending: new Map(),
+      requestCache: new Map(),
+      parseCache: options.parseCache || null,
+      timings: { parseMs: 0, parsedFiles: 0 },
+    };
+  }
+
+  /**
+   * 加载依赖图中的一个文件节点（解析文件并解析出所有依赖边），同一文件的并发请求共享同一个Promise
+   */
+  loadGraphNode(graph, filePath) {
+    if (!graph.pending.has(filePath)) {
+      graph.pending.set(filePath, this.parseGraphNode(graph, filePath).then(node => {
+        graph.nodes.set(filePath, node);
+        return node;
+      }));
+    }
+    return graph.pending.get(filePath);
+  }
+
+  /**
+   * 解析依赖图节点：依赖边按template、component、directive、filter、global、script、style、store、async的顺序排列，
+   * 每条边记录解析后的文件、是否被排除以及目标文件信息
+   */
+  async parseGraphNode(graph, filePath) {
+    const { aliasConfig, baseDir, options } = graph;
+    const { extensions = [], exclude = [], storeEntry = null } = options;
+    const node = { file: filePath, edges: [] };
+    if (!fs.existsSync(filePath)) {
+      node.notFound = true;
+      return node;
+    }
+
+    const startTime = Date.now();
+    let analysis;
+    try {
+      analysis = await this.analyzeFileCached(filePath, aliasConfig, baseDir, {
+        storeEntry,
+        requestCache: graph.requestCache,
+        parseCache: graph.parseCache
+      });
+    } catch (error) {
+      node.error = error.message;
+      return node;
+    } finally {
+      graph.timings.parseMs += Date.now() - startTime;
+      graph.timings.parsedFiles++;
+    }
+    node.packageImports = analysis.packageImports;
+    node.globalUsages = analysis.globalUsages;
+    node.unresolvedAssets = [
+      ...analysis.templateComponents.filter(item => item.registration === 'unresolved')
+        .map(item => ({ type: 'component', name: item.tag, line: item.line })),
+      ...analysis.templateDirectives.filter(item => item.registration === 'unresolved')
+        .map(item => ({ type: 'directive', name: item.name, line: item.line })),
+      ...analysis.templateFilters.filter(item => item.registration === 'unresolved')
+        .map(item => ({ type: 'filter', name: item.name, line: item.line })),
+    ];
+
+    for (const kind of ['template', 'component', 'directive', 'filter', 'global', 'script', 'style', 'store', 'async']) {
+      for (const depPath of analysis.dependencies[kind]) {
+        const edge = {
+          from: filePath,
+          depPath,
+          ...this.getDependencyEdgeInfo(analysis, depPath, kind),
+        };
+        try {
+          const { fullDepPath, actualFilePath } = this.resolveDependencyPath(
+            depPath, filePath, aliasConfig, baseDir, extensions
+          );
+          edge.fullDepPath = fullDepPath;
+          edge.to = actualFilePath;
+          if (actualFilePath) {
+            edge.excluded = this.isExcludedFile(actualFilePath, baseDir, exclude);
+            edge.fileInfo = this.checkFileExists(actualFilePath);
+          }
+        } catch (error) {
+          edge.error = error.message;
+        }
+        node.edges.push(edge);
+      }
+    }
+    return node;
+  }
+
+  /**
+   * 判断依赖边的目标文件是否需要继续解析
    */
-  async findRouteInfo(filePath, baseDir, aliasConfig = {}) {
-    const routeInfo = {
-      imports: []
-    };
+  isTraversableEdge(edge, includeAsync = true) {
+    return Boolean(edge.to) && !edge.error && !edge.excluded &&
+      edge.fileInfo.exists && edge.fileInfo.isFile && this.isSupportedFile(edge.to) &&
+      (includeAsync || edge.kind !== 'async');
+  }
 
-    try {
-      // 查找src目录下的路由相关文件
-      const srcDir = path.join(baseDir, 'src');
-      if (!fs.existsSync(srcDir)) {
-        return routeInfo;
-      }
+  /**
+   * 从入口文件构建依赖图
+   * 按层广度优先展开，同一层的文件并发解析；只展开距入口不超过maxDepth层的文件
+   */
+  async buildDependencyGraph(filePath, aliasConfig, baseDir, maxDepth, options = {}) {
+    const { includeAsync = true, concurrency = 8 } = options;
+    const graph = this.createDependencyGraph(aliasConfig, baseDir, options);
+    const startTime = Date.now();
+    // filePath可以是多个入口文件，各入口共用一个依赖图
+    const entryFiles = [...new Set((Array.isArray(filePath) ? filePath : [filePath])
+      .map(file => this.resolvePath(file, baseDir)))];
+    graph.entryFiles = entryFiles;
+    graph.entryFile = entryFiles[0];
 
-      // 动态查找包含route或routes的文件和文件夹
-      const findRouteFiles = (dir) => {
-        const files = [];
-        if (!fs.existsSync(dir)) return files;
-        
-        try {
-          const items = fs.readdirSync(dir);
-          for (const item of items) {
-            const fullPath = path.join(dir, item);
-            const stat = fs.statSync(fullPath);
-            
-            if (stat.isDirectory()) {
-              const dirName = path.basename(item);
-              // 如果是疑似route的文件夹，查找该文件夹下的所有文件
-              if (dirName.toLowerCase().includes('route') || dirName.toLowerCase().includes('routes')) {
-                const allFilesInRouteDir = this.getAllFilesInDirectory(fullPath);
-                files.push(...allFilesInRouteDir);
-              } else {
-                // 继续递归查找其他目录
-                files.push(...findRouteFiles(fullPath));
-              }
-            } else if (stat.isFile()) {
-              const fileName = path.basename(item, path.extname(item));
-              if (fileName.toLowerCase().includes('route') || fileName.toLowerCase().includes('routes')) {
-                files.push(fullPath);
-              }
-            }
+    const depthOf = new Map(entryFiles.map(file => [file, 0]));
+    let level = [...entryFiles];
+    for (let depth = 0; level.length > 0 && depth < maxDepth; depth++) {
+      const nodes = await this.runConcurrent(level, concurrency, file => this.loadGraphNode(graph, file));
+      const nextLevel = [];
+      for (const node of nodes) {
+        node.depth = depthOf.get(node.file);
+        for (const edge of node.edges) {
+          if (this.isTraversableEdge(edge, includeAsync) && !depthOf.has(edge.to)) {
+            depthOf.set(edge.to, depth + 1);
+            nextLevel.push(edge.to);
           }
-        } catch (error) {
-          // 忽略无法访问的目录
-        }
-        return files;
-      };
-
-      const existingRoutePaths = findRouteFiles(srcDir);
-      // 获取目标文件的相对路径（用于匹配）
-      const targetFileRelative = path.relative(baseDir, filePath).replace(/\\/g, '/');
-      const targetFileName = path.basename(filePath, path.extname(filePath));
-      
-      // 计算相对于src/views的路径
-      const viewsDir = path.join(baseDir, 'src', 'views');
-      let targetFileRelativeToViews = '';
-      if (filePath.includes('src/views') || filePath.includes('src\\views')) {
-        targetFileRelativeToViews = path.relative(viewsDir, filePath).replace(/\\/g, '/');
-      }
-
-      // 解析每个路由文件
-      for (const routeFilePath of existingRoutePaths) {
-        const routeContent = fs.readFileSync(routeFilePath, 'utf-8');
-        
-        // 查找包含目标文件的路由配置
-        const foundRoutes = this.extractRouteInfoForFile(routeContent, targetFileRelative, targetFileName, routeFilePath);
-        if (foundRoutes.imports.length > 0) {
-          routeInfo.imports.push(...foundRoutes.imports);
         }
       }
-
-    } catch (error) {
-      console.error('查找路由信息时出错:', error.message);
+      level = nextLevel;
     }
 
-    return routeInfo;
+    graph.timings.graphMs = Date.now() - startTime;
+    return graph;
   }
 
   /**
-   * 从路由文件中提取特定文件的路由信息
+   * 依赖分析的耗时统计（毫秒）
+   * parseMs为各文件解析耗时之和，并发解析时可能大于graphMs
    */
-  extractRouteInfoForFile(routeContent, targetFileRelative, targetFileName, routeFilePath) {
-    const result = {
-      imports: []
+  getGraphTimings(graph, startTime) {
+    return {
+      totalMs: Date.now() - startTime,
+      graphMs: graph.timings.graphMs,
+      parseMs: graph.timings.parseMs,
+      parsedFiles: graph.timings.parsedFiles,
     };
+  }
 
-    // 将文件路径转换为@/views格式
-    // 例如: src/views/assets/assetsManagement/index.vue -> @/views/assets/assetsManagement/index
-    let targetPath = '';
-    if (targetFileRelative.includes('src/views/') || targetFileRelative.includes('src\\views\\')) {
-      // 提取src/views/之后的部分
-      const viewsIndex = targetFileRelative.indexOf('src/views/') !== -1 ? 
-        targetFileRelative.indexOf('src/views/') + 'src/views/'.length :
-        targetFileRelative.indexOf('src\\views\\') + 'src\\views\\'.length;
-      
-      const pathAfterViews = targetFileRelative.substring(viewsIndex).replace(/\\/g, '/');
-      // 移除文件扩展名
-      targetPath = `@/views/${pathAfterViews.replace(/\.(vue|js|ts)$/, '')}`;
+  /**
+   * 根据扩展名判断文件类型（vue、script、style、asset、other），依赖图节点与未使用文件报告共用同一分类
+   */
+  getGraphFileType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.vue') {
+      return 'vue';
     }
-    
+    if (['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'].includes(ext)) {
+      return 'script';
+    }
+    if (['.css', '.scss', '.sass', '.less', '.styl', '.stylus'].includes(ext)) {
+      return 'style';
+    }
+    if (['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico', '.bmp',
+      '.woff', '.woff2', '.ttf', '.eot', '.otf', '.mp3', '.mp4', '.webm'].includes(ext)) {
+      return 'asset';
+    }
+    return 'other';
+  }
 
-    
-    if (!targetPath) {
-        return result;
+  /**
+   * 依赖图的节点与边（每个文件一个节点，每条已解析的依赖一条边）
+   * 边的kind为template、component、directive、filter、global、script、style、store、async，路由文件指向路由组件的边为route；
+   * options.routeComponents为路由文件 -> 路由组件文件集合
+   */
+  getGraphNodesAndEdges(graph, options = {}) {
+    const { includeAsync = true, routeComponents = new Map() } = options;
+    const { baseDir } = graph;
+
+    const edges = [...graph.nodes.values()].flatMap(node => node.edges
+      .filter(edge => edge.to && (includeAsync || edge.kind !== 'async'))
+      .map(edge => {
+        const isRoute = routeComponents.has(edge.from) && routeComponents.get(edge.from).has(edge.to);
+        return {
+          from: edge.from,
+          to: edge.to,
+          kind: isRoute ? 'route' : edge.kind,
+          source: edge.source,
+          importKind: edge.importKind,
+          line: edge.line,
+        };
+      }));
+
+    // 节点包括已解析的文件以及未展开的依赖目标（超出深度、被排除的文件）
+    const nodeFiles = [...new Set([...graph.nodes.keys(), ...edges.map(edge => edge.to)])];
+    const nodes = nodeFiles.map(file => {
+      const node = graph.nodes.get(file);
+      return {
+        id: file,
+        relativePath: path.relative(baseDir, file),
+        directory: path.relative(baseDir, path.dirname(file)) || '.',
+        type: this.getGraphFileType(file),
+        depth: node ? node.depth : null,
+        ...(node && node.error ? { error: node.error } : {}),
+        ...(node && node.notFound ? { notFound: true } : {}),
+        ...(graph.entryFiles.includes(file) ? { entry: true } : {}),
+      };
+    });
+    return { nodes, edges };
+  }
+
+  /**
+   * 查找依赖图中路由文件所引用的路由组件，用于将这些边标记为route
+   */
+  getGraphRouteComponents(graph, routerFiles = []) {
+    const routeComponents = new Map();
+    const routeFiles = this.findRouteFiles(graph.baseDir, routerFiles).filter(file => graph.nodes.has(file));
+    for (const routeFile of routeFiles) {
+      try {
+        const routes = this.flattenRoutes(this.parseRouteFile(routeFile, graph.aliasConfig, graph.baseDir));
+        routeComponents.set(routeFile, new Set(routes.flatMap(route => this.getRouteComponentFiles(route))));
+      } catch (error) {
+        console.error(`解析路由文件时出错 (${routeFile}):`, error.message);
+      }
     }
-    
-    // 查找组件导入定义（const ComponentName = () => import(...)形式）
-    // 支持多行格式，正确处理webpackChunkName注释
-    const componentImportRegex = /const\s+(\w+)\s*=\s*\(\)\s*=>\s*import\([\s\S]*?["']([^"']*@\/[^"']+)["'][\s\S]*?\)/g;
-    let componentMatch;
-    
-    while ((componentMatch = componentImportRegex.exec(routeContent)) !== null) {
-      const componentName = componentMatch[1];
-      const importPath = componentMatch[2];
-      
-      // 只匹配@/views开头的路径
-      if (!importPath.startsWith('@/views/')) {
-        continue;
+    return routeComponents;
+  }
+
+  /**
+   * 按目录对依赖图节点分组（用于图中的子图/cluster）
+   */
+  groupGraphNodesByDirectory(nodes) {
+    const groups = new Map();
+    nodes.forEach(node => {
+      if (!groups.has(node.directory)) {
+        groups.set(node.directory, []);
       }
-      
-      // 检查是否匹配目标路径
-      if (importPath.includes(targetPath)) {
-        result.imports.push({
-          statement: componentMatch[0],
-          name: componentName,
-          path: importPath,
-          routeFile: routeFilePath
-        });
+      groups.get(node.directory).push(node);
+    });
+    return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  /**
+   * 导出Mermaid流程图：按目录划分subgraph，按文件类型着色，异步依赖用虚线表示
+   */
+  toMermaidGraph({ nodes, edges }) {
+    const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+    const escape = text => text.replace(/"/g, '#quot;');
+    const lines = ['flowchart LR'];
+
+    this.groupGraphNodesByDirectory(nodes).forEach(([directory, groupNodes], i) => {
+      lines.push(`  subgraph dir${i}["${escape(directory)}"]`);
+      groupNodes.forEach(node => {
+        lines.push(`    ${ids.get(node.id)}["${escape(path.basename(node.id))}"]`);
+      });
+      lines.push('  end');
+    });
+    edges.forEach(edge => {
+      const arrow = edge.kind === 'async' ? '-.->' : '-->';
+      lines.push(`  ${ids.get(edge.from)} ${arrow}|${edge.kind}| ${ids.get(edge.to)}`);
+    });
+    Object.entries(GRAPH_NODE_COLORS).forEach(([type, [fill, color]]) => {
+      const typeIds = nodes.filter(node => node.type === type).map(node => ids.get(node.id));
+      if (typeIds.length > 0) {
+        lines.push(`  classDef ${type} fill:${fill},color:${color}`);
+        lines.push(`  class ${typeIds.join(',')} ${type}`);
       }
+    });
+    const entry = nodes.find(node => node.entry);
+    if (entry) {
+      lines.push('  classDef entry stroke:#e74c3c,stroke-width:3px');
+      lines.push(`  class ${ids.get(entry.id)} entry`);
     }
+    return lines.join('\n');
+  }
 
-    return result;
+  /**
+   * 导出Graphviz DOT：按目录划分cluster，按文件类型着色，异步依赖用虚线表示
+   */
+  toDotGraph({ nodes, edges }) {
+    const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+    const escape = text => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const lines = [
+      'digraph dependencies {',
+      '  rankdir=LR;',
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+      '  edge [fontname="Helvetica", fontsize=10];',
+    ];
+
+    this.groupGraphNodesByDirectory(nodes).forEach(([directory, groupNodes], i) => {
+      lines.push(`  subgraph cluster_${i} {`);
+      lines.push(`    label="${escape(directory)}";`);
+      groupNodes.forEach(node => {
+        const [fill, color] = GRAPH_NODE_COLORS[node.type];
+        const entryStyle = node.entry ? ', penwidth=3, color="#e74c3c"' : '';
+        lines.push(`    ${ids.get(node.id)} [label="${escape(path.basename(node.id))}", fillcolor="${fill}", fontcolor="${color}"${entryStyle}];`);
+      });
+      lines.push('  }');
+    });
+    edges.forEach(edge => {
+      const style = edge.kind === 'async' ? ', style=dashed' : '';
+      lines.push(`  ${ids.get(edge.from)} -> ${ids.get(edge.to)} [label="${edge.kind}"${style}];`);
+    });
+    lines.push('}');
+    return lines.join('\n');
   }
 
   /**
-   * 保存路由信息到代办.md文件
+   * 构建依赖树
+   * 先构建依赖图（每个文件只解析一次），再从图中推导出树形结构
+   * options：
+   *  - includeAsync：为false时不跟踪动态import()依赖
+   *  - extensions：额外可解析的扩展名
+   *  - exclude：排除的glob模式（相对baseDir），命中的文件标记为excluded且不再递归
+   *  - storeEntry：store入口文件位置
+   *  - graph：已构建的依赖图，传入时不再重新解析
    */
-  async saveRouteInfoToTodo(routeInfo, filePath, baseDir, outputDir = null) {
-    // 严格检查：只有在真正找到相关路由信息时才保存
-    if (routeInfo.imports.length === 0) {
-      console.log(`未找到 ${path.basename(filePath)} 的相关路由信息，跳过保存`);
-      return;
+  async buildDependencyTree(filePath, aliasConfig, baseDir, maxDepth, options = {}) {
+    const graph = options.graph ||
+      await this.buildDependencyGraph(filePath, aliasConfig, baseDir, maxDepth, options);
+    const resolvedPath = this.resolvePath(filePath, baseDir);
+    const state = {
+      path: new Set(),
+      expanded: new Set(),
+      depths: this.getGraphDepths(graph, resolvedPath, maxDepth, options.includeAsync),
+    };
+    return this.deriveDependencyTree(graph, resolvedPath, 0, maxDepth, options, state);
+  }
+
+  /**
+   * 从依赖图推导依赖树
+   * 每个文件只在距入口最近的第一次出现处展开，其余出现处输出ref标记（ref: true），避免共享依赖被重复展开；
+   * state.path记录当前路径上的文件，再次出现时标记为circular（环的详情由recordGraphCycles从依赖图中计算）
+   */
+  deriveDependencyTree(graph, filePath, depth, maxDepth, options, state) {
+    const { includeAsync = true } = options;
+
+    // 检查循环依赖
+    if (state.path.has(filePath)) {
+      return { file: filePath, dependencies: [], circular: true, depth };
     }
 
-    // 确定代办.md文件的保存路径
-    const targetDir = outputDir || baseDir;
-    const todoFilePath = path.join(targetDir, '代办.md');
-    
-    // 确保输出目录存在
-    if (!fs.existsSync(targetDir)) {
-      fs.mkdirSync(targetDir, { recursive: true });
+    // 检查最大深度
+    const node = graph.nodes.get(filePath);
+    if (depth >= maxDepth || !node) {
+      return { file: filePath, dependencies: [], maxDepthReached: true, depth };
     }
-    const fileName = path.basename(filePath);
-    console.log(`找到 ${fileName} 的路由信息，保存到代办.md`);
-    let content = ''
-    
-    if (routeInfo.imports.length > 0) {
-      content += `## 路由信息\n\n`;
-      routeInfo.imports.forEach((imp, index) => {
-        content += `路由文件：${imp.routeFile}\n\n`;
-        content += `\`\`\`javascript\n${imp.statement}\n\`\`\`\n\n`;
-        content += `请根据对应信息复制对应的route数据\n\n`;
-      });
+
+    // 检查文件是否存在
+    if (node.notFound) {
+      return { file: filePath, dependencies: [], notFound: true, depth };
     }
-    content += `---\n\n`;
-    
-    // 如果文件已存在，追加内容；否则创建新文件
-    if (fs.existsSync(todoFilePath)) {
-      const existingContent = fs.readFileSync(todoFilePath, 'utf-8');
-      fs.writeFileSync(todoFilePath, existingContent + content, 'utf-8');
-    } else {
-      fs.writeFileSync(todoFilePath, content, 'utf-8');
+    if (node.error) {
+      return { file: filePath, dependencies: [], error: node.error, depth };
     }
-  }
 
-  /**
-   * 解析路径（优化版）
-   */
-  resolvePath(filePath, baseDir) {
-    if (!filePath) {
-      throw new Error('文件路径不能为空');
+    // 已展开过，或者在更近的位置展开
+    if (state.expanded.has(filePath) || depth > state.depths.get(filePath)) {
+      return { file: filePath, dependencies: [], ref: true, depth };
     }
 
-    // 规范化路径
-    const normalizedPath = path.normalize(filePath);
-    
-    if (path.isAbsolute(normalizedPath)) {
-      return normalizedPath;
+    state.expanded.add(filePath);
+    state.path.add(filePath);
+    const dependencies = [];
+    for (const edge of node.edges) {
+      if (edge.kind === 'async' && !includeAsync) {
+        continue;
+      }
+      const asyncMark = edge.kind === 'async' ? { async: true } : {};
+      if (edge.error) {
+        dependencies.push({ file: edge.depPath, dependencies: [], error: edge.error, depth: depth + 1, ...asyncMark });
+      } else if (!edge.to) {
+        dependencies.push({
+          file: edge.fullDepPath,
+          dependencies: [],
+          notFound: true,
+          depth: depth + 1,
+          originalPath: edge.depPath,
+          ...asyncMark
+        });
+      } else if (edge.excluded) {
+        dependencies.push({ file: edge.to, dependencies: [], excluded: true, depth: depth + 1, ...asyncMark });
+      } else if (this.isTraversableEdge(edge)) {
+        const childTree = this.deriveDependencyTree(graph, edge.to, depth + 1, maxDepth, options, state);
+        dependencies.push({ ...childTree, ...asyncMark });
+      } else {
+        dependencies.push({
+          file: edge.to,
+          dependencies: [],
+          leaf: true,
+          depth: depth + 1,
+          fileInfo: edge.fileInfo,
+          ...asyncMark
+        });
+      }
     }
-    
-    const resolved = path.resolve(baseDir, normalizedPath);
-    return path.normalize(resolved);
+    state.path.delete(filePath);
+
+    return { file: filePath, dependencies, depth };
   }
 
   /**
-   * 解析别名路径（优化版）
+   * 获取依赖边的引用信息：script、template与style中的依赖可以定位到具体的引用语句（source、importKind、line），
+   * 模板中的组件、指令与过滤器依赖定位到使用位置，importKind为注册方式；全局属性与注入依赖的importKind为安装方式；
+   * store依赖定位到使用的Vuex命名空间或Pinia的use*Store调用，importKind为vuex或pinia
    */
-  resolveAlias(importPath, aliasConfig, baseDir) {
-    if (!importPath) {
-      return importPath;
+  getDependencyEdgeInfo(parsedDeps, depPath, kind) {
+    if (kind === 'component') {
+      const component = parsedDeps.templateComponents.find(item => item.file === depPath);
+      return { kind, source: `<${component.tag}>`, importKind: component.registration, line: component.line };
     }
-
-    let normalizedImport = importPath;
-    
-    // 处理样式文件中的~别名（webpack语法）
-    if (normalizedImport.startsWith('~')) {
-      normalizedImport = normalizedImport.slice(1); // 移除~前缀
+    if (kind === 'directive' || kind === 'filter') {
+      const asset = (kind === 'directive' ? parsedDeps.templateDirectives : parsedDeps.templateFilters)
+        .find(item => item.file === depPath);
+      const source = kind === 'directive' ? `v-${asset.name}` : `| ${asset.name}`;
+      return { kind, source, importKind: asset.registration, line: asset.line };
     }
-    
-    // 规范化导入路径
-    normalizedImport = path.normalize(normalizedImport);
-    
-    // 按别名长度排序，确保最长匹配优先
-    const sortedAliases = Object.entries(aliasConfig)
-      .sort(([a], [b]) => b.length - a.length);
-    
-    for (const [alias, realPath] of sortedAliases) {
-      if (normalizedImport.startsWith(alias)) {
-        // 确保别名匹配是完整的（避免部分匹配）
-        const nextChar = normalizedImport[alias.length];
-        if (nextChar === undefined || nextChar === '/' || nextChar === '\\') {
-          const relativePath = normalizedImport.slice(alias.length);
-          const resolvedPath = path.join(realPath, relativePath);
-          return this.resolvePath(resolvedPath, baseDir);
-        }
+    if (kind === 'global') {
+      const usage = parsedDeps.globalUsages.find(item => item.file === depPath);
+      let source = usage.via === 'template' ? usage.name : `${usage.via}.${usage.name}`;
+      if (usage.type === 'inject') {
+        source = `inject('${usage.name}')`;
       }
+      return { kind, source, importKind: usage.installedAs, line: usage.line };
     }
-    
-    return normalizedImport;
+    // 按依赖分类查找引用记录，同一路径在template与script中都被引用时各自定位到自己的引用位置
+    const references = {
+      template: parsedDeps.templateImports,
+      style: parsedDeps.styleImports,
+      store: parsedDeps.storeImports,
+      script: parsedDeps.scriptImports.filter(dep => !this.isAsyncImport(dep)),
+      async: parsedDeps.scriptImports.filter(dep => this.isAsyncImport(dep)),
+    }[kind] || [];
+    const reference = references.find(dep => dep.path === depPath);
+    return {
+      kind,
+      source: reference ? reference.source : depPath,
+      importKind: reference ? reference.kind : null,
+      line: reference ? reference.line : null,
+    };
   }
 
   /**
-   * 检查文件是否存在并返回详细信息
+   * 判断script依赖是否为动态import()（异步组件、懒加载组件），此类依赖归入async
    */
-  checkFileExists(filePath) {
+  isAsyncImport(dep) {
+    return dep.kind === 'dynamic' || (dep.kind === 'dynamic-candidate' && dep.async);
+  }
+
+  /**
+   * 读取文件指定行的源码（用于展示引用语句）
+   */
+  readSourceLine(filePath, line) {
+    if (!line) {
+      return null;
+    }
     try {
-      const stats = fs.statSync(filePath);
-      return {
-        exists: true,
-        isFile: stats.isFile(),
-        isDirectory: stats.isDirectory(),
-        size: stats.size,
-        mtime: stats.mtime
-      };
+      const lines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/);
+      return lines[line - 1] !== undefined ? lines[line - 1].trim() : null;
     } catch (error) {
-      return {
-        exists: false,
-        error: error.message
-      };
+      return null;
     }
   }
 
   /**
-   * 尝试解析文件路径（支持多种扩展名）
+   * 记录一个循环依赖
+   * files为环上的文件（不含回到起点的重复项），edges[i]为files[i]指向下一个文件的依赖边；
+   * 环按最小的文件路径旋转后作为key，从不同起点发现的同一个环只记录一次
    */
-  resolveFileWithExtensions(filePath, extensions = ['.vue', '.js', '.ts', '.jsx', '.tsx', '.css', '.scss', '.sass', '.less']) {
-    // 如果文件已有扩展名且存在，直接返回
-    if (path.extname(filePath) && fs.existsSync(filePath)) {
-      return filePath;
-    }
+  recordCycle(cycles, files, edges, baseDir) {
+    const start = files.indexOf([...files].sort()[0]);
+    const rotatedFiles = [...files.slice(start), ...files.slice(0, start)];
+    const rotatedEdges = [...edges.slice(start), ...edges.slice(0, start)];
+    const key = rotatedFiles.join('\n');
 
-    // 尝试添加不同扩展名
-    for (const ext of extensions) {
-      const fileWithExt = filePath + ext;
-      if (fs.existsSync(fileWithExt)) {
-        return fileWithExt;
-      }
+    if (cycles.has(key)) {
+      cycles.get(key).occurrences++;
+      return;
     }
+    const chainFiles = [...rotatedFiles, rotatedFiles[0]];
+    cycles.set(key, {
+      files: chainFiles,
+      chain: chainFiles.map(file => path.relative(baseDir, file)).join(' → '),
+      length: rotatedFiles.length,
+      edges: rotatedEdges.map(edge => ({
+        ...edge,
+        statement: this.readSourceLine(edge.from, edge.line),
+      })),
+      occurrences: 1,
+    });
+  }
 
-    // 如果是目录，尝试查找index文件
-    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
-      for (const ext of extensions) {
-        const indexFile = path.join(filePath, 'index' + ext);
-        if (fs.existsSync(indexFile)) {
-          return indexFile;
+  /**
+   * 在依赖图中查找所有基本环
+   * 先用Tarjan算法求强连通分量，再在每个分量内从各起点搜索回到起点的路径；找到maxCycles个环后停止
+   */
+  findGraphCycles(graph, maxCycles = 100) {
+    // Tarjan强连通分量
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    const strongConnect = (node) => {
+      indices.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+      for (const edge of graph.get(node) || []) {
+        if (!graph.has(edge.file)) {
+          continue;
+        }
+        if (!indices.has(edge.file)) {
+          strongConnect(edge.file);
+          lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(edge.file)));
+        } else if (onStack.has(edge.file)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(edge.file)));
         }
       }
+      if (lowLinks.get(node) === indices.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    };
+    for (const node of [...graph.keys()].sort()) {
+      if (!indices.has(node)) {
+        strongConnect(node);
+      }
     }
 
-    return null;
+    const cycles = [];
+    let truncated = false;
+    for (const component of components.filter(item => item.length > 1)) {
+      const members = component.sort();
+      const order = new Map(members.map((file, i) => [file, i]));
+      for (const startFile of members) {
+        // 只经过排序在起点之后的文件，保证每个环只从其最小的文件出发找到一次
+        const pathFiles = [startFile];
+        const pathEdges = [];
+        const onPath = new Set(pathFiles);
+        const search = (node) => {
+          for (const edge of graph.get(node) || []) {
+            if (cycles.length >= maxCycles) {
+              truncated = true;
+              return;
+            }
+            if (!order.has(edge.file) || order.get(edge.file) < order.get(startFile)) {
+              continue;
+            }
+            if (edge.file === startFile) {
+              cycles.push({ files: [...pathFiles], edges: [...pathEdges, edge] });
+            } else if (!onPath.has(edge.file)) {
+              pathFiles.push(edge.file);
+              pathEdges.push(edge);
+              onPath.add(edge.file);
+              search(edge.file);
+              pathFiles.pop();
+              pathEdges.pop();
+              onPath.delete(edge.file);
+            }
+          }
+        };
+        search(startFile);
+      }
+    }
+    return { cycles, truncated };
   }
 
   /**
-   * 提取template部分的依赖
+   * 列出循环依赖（find_circular_dependencies工具）
+   * 传入filePath时只检查该入口的依赖树，否则检查整个项目
    */
-  extractTemplateDependencies(templateContent, aliasConfig, baseDir) {
-    const dependencies = [];
-    
-    // 匹配src属性中的文件引用
-    const srcRegex = /src=["']([^"']+)["']/g;
-    let match;
-    
-    while ((match = srcRegex.exec(templateContent)) !== null) {
-      const srcPath = match[1];
-      if (this.isLocalFile(srcPath)) {
-        const resolvedPath = this.resolveAlias(srcPath, aliasConfig, baseDir);
-        dependencies.push(resolvedPath);
+  async findCircularDependencies(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const {
+        filePath,
+        aliasConfig: explicitAliasConfig,
+        baseDir,
+        maxDepth,
+        autoDetectAliases,
+        includeAsync
+      } = options;
+      const { maxCycles = 100 } = args;
+
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+
+      const cycles = new Map();
+      let truncated = false;
+      let checkedFiles = 0;
+      let cache;
+      const errors = [];
+      if (filePath) {
+        const parseCache = this.openParseCache(baseDir, aliasConfig, options);
+        const graph = await this.buildDependencyGraph(
+          filePath, aliasConfig, baseDir, maxDepth, { ...this.getTreeOptions(options), parseCache }
+        );
+        this.saveParseCache(parseCache);
+        cache = this.getParseCacheStats(parseCache);
+        const entryDepths = [this.getGraphDepths(graph, graph.entryFile, maxDepth, includeAsync)];
+        checkedFiles = entryDepths[0].size;
+        truncated = this.recordGraphCycles(
+          cycles, this.getGraphCycleMap(graph, entryDepths, maxDepth, includeAsync), baseDir, maxCycles
+        );
+      } else {
+        const index = await this.buildProjectIndex(baseDir, aliasConfig, options);
+        checkedFiles = index.files.length;
+        cache = index.cache;
+        errors.push(...index.errors);
+
+        const graph = new Map();
+        index.dependencies.forEach((edges, file) => {
+          graph.set(file, edges.filter(edge => includeAsync || edge.kind !== 'async'));
+        });
+        truncated = this.recordGraphCycles(cycles, graph, baseDir, maxCycles);
       }
-    }
-    
-    // 匹配所有require()调用
-    const requireRegex = /require\(["']([^"']+)["']\)/g;
-    let requireMatch;
-    
-    while ((requireMatch = requireRegex.exec(templateContent)) !== null) {
-      const requirePath = requireMatch[1];
-      if (this.isLocalFile(requirePath)) {
-        const resolvedPath = this.resolveAlias(requirePath, aliasConfig, baseDir);
-        dependencies.push(resolvedPath);
+
+      const cycleList = [...cycles.values()];
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              entryFile: filePath ? this.resolvePath(filePath, baseDir) : null,
+              cycles: cycleList,
+              truncated,
+              errors,
+              aliases,
+              summary: {
+                checkedFiles,
+                totalCycles: cycleList.length,
+                filesInCycles: new Set(cycleList.flatMap(cycle => cycle.files)).size,
+                longestCycle: cycleList.reduce((max, cycle) => Math.max(max, cycle.length), 0),
+                cache,
+              },
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
       }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `查找循环依赖时发生错误: ${error.message}`
+      );
     }
+  }
 
-    return [...new Set(dependencies)]; // 去重
+  /**
+   * 按依赖树的解析规则，计算从入口出发不超过maxDepth层可达的文件及其距入口的最小层数（不含不存在或被排除的文件）
+   * blockedFiles中的文件不会被到达，也不从它们继续展开
+   */
+  getGraphDepths(graph, entryFile, maxDepth, includeAsync = true, blockedFiles = new Set()) {
+    const depths = new Map([[entryFile, 0]]);
+    let level = [entryFile];
+    for (let depth = 0; level.length > 0 && depth < maxDepth; depth++) {
+      const nextLevel = [];
+      for (const file of level) {
+        const node = graph.nodes.get(file);
+        if (!node) {
+          continue;
+        }
+        for (const edge of node.edges) {
+          if (!this.isTraversableEdge(edge, includeAsync) || depths.has(edge.to) || blockedFiles.has(edge.to)) {
+            continue;
+          }
+          depths.set(edge.to, depth + 1);
+          nextLevel.push(edge.to);
+        }
+      }
+      level = nextLevel;
+    }
+    return depths;
   }
 
   /**
-   * 提取Vue文件中使用的store模块
+   * 按依赖树的解析规则，计算从入口出发不超过maxDepth层可达的文件（不含不存在或被排除的文件）
    */
-
+  getGraphReachableFiles(graph, entryFile, maxDepth, includeAsync = true, blockedFiles = new Set()) {
+    return new Set(this.getGraphDepths(graph, entryFile, maxDepth, includeAsync, blockedFiles).keys());
+  }
 
   /**
-   * 提取script部分的依赖
+   * 获取依赖树中file节点下列出的依赖边：距入口达到maxDepth层、不存在或解析失败的文件不展开
    */
-  extractScriptDependencies(scriptContent, aliasConfig, baseDir) {
-    const dependencies = [];
-    
-    // 匹配各种形式的import语句
-    const importPatterns = [
-      // import 'module'
-      /import\s+["']([^"']+)["']/g,
-      // import something from 'module'
-      /import\s+[^\s]+\s+from\s+["']([^"']+)["']/g,
-      // import { something } from 'module'
-      /import\s+\{[^}]*\}\s+from\s+["']([^"']+)["']/g,
-      // import * as something from 'module'
-      /import\s+\*\s+as\s+[^\s]+\s+from\s+["']([^"']+)["']/g,
-      // import something, { other } from 'module'
-      /import\s+[^,]+,\s*\{[^}]*\}\s+from\s+["']([^"']+)["']/g
-    ];
-    
-    for (const regex of importPatterns) {
-      let match;
-      while ((match = regex.exec(scriptContent)) !== null) {
-        const importPath = match[1];
-        if (this.isLocalFile(importPath)) {
-          const resolvedPath = this.resolveAlias(importPath, aliasConfig, baseDir);
-          dependencies.push(resolvedPath);
-        }
-      }
+  getGraphTreeEdges(graph, file, depth, maxDepth, includeAsync = true) {
+    const node = graph.nodes.get(file);
+    if (depth >= maxDepth || !node || node.notFound || node.error) {
+      return [];
     }
+    return node.edges.filter(edge => includeAsync || edge.kind !== 'async');
+  }
 
-    // 匹配require语句
-    const requireRegex = /require\(["']([^"']+)["']\)/g;
-    let requireMatch;
-    while ((requireMatch = requireRegex.exec(scriptContent)) !== null) {
-      const requirePath = requireMatch[1];
-      if (this.isLocalFile(requirePath)) {
-        const resolvedPath = this.resolveAlias(requirePath, aliasConfig, baseDir);
-        dependencies.push(resolvedPath);
+  /**
+   * 根据各入口的可达文件（getGraphDepths的结果），计算每个文件由哪些入口引入，返回 Map<file, entryFile[]>
+   * 与依赖树一致，不存在或解析失败的依赖也会列出，被排除的依赖不列出
+   */
+  getGraphEntriesByFile(graph, entryFiles, entryDepths, maxDepth, includeAsync = true) {
+    const entriesByFile = new Map();
+    const addEntry = (file, entryFile) => {
+      if (!entriesByFile.has(file)) {
+        entriesByFile.set(file, []);
       }
-    }
-
-    return dependencies;
+      if (!entriesByFile.get(file).includes(entryFile)) {
+        entriesByFile.get(file).push(entryFile);
+      }
+    };
+    entryDepths.forEach((depths, index) => {
+      depths.forEach((depth, file) => {
+        addEntry(file, entryFiles[index]);
+        this.getGraphTreeEdges(graph, file, depth, maxDepth, includeAsync)
+          .filter(edge => !edge.excluded)
+          .forEach(edge => addEntry(edge.error ? edge.depPath : (edge.to || edge.fullDepPath), entryFiles[index]));
+      });
+    });
+    return entriesByFile;
   }
 
   /**
-   * 提取style部分的依赖
+   * 收集各入口可达范围内通过动态import()引入的文件
    */
-  extractStyleDependencies(styleContent, aliasConfig, baseDir) {
-    const dependencies = [];
-    
-    // 匹配@import语句
-    const importRegex = /@import\s+["']([^"']+)["']/g;
-    let match;
-    
-    while ((match = importRegex.exec(styleContent)) !== null) {
-      const importPath = match[1];
-      if (this.isLocalFile(importPath)) {
-        const resolvedPath = this.resolveAlias(importPath, aliasConfig, baseDir);
-        dependencies.push(resolvedPath);
-      }
-    }
+  getGraphAsyncFiles(graph, entryDepths, maxDepth, includeAsync = true) {
+    const files = new Set();
+    entryDepths.forEach(depths => {
+      depths.forEach((depth, file) => {
+        this.getGraphTreeEdges(graph, file, depth, maxDepth, includeAsync)
+          .filter(edge => edge.kind === 'async' && edge.to && !edge.error)
+          .forEach(edge => files.add(edge.to));
+      });
+    });
+    return [...files];
+  }
 
-    // 匹配url()中的文件引用
-    const urlRegex = /url\(["']?([^"')]+)["']?\)/g;
-    let urlMatch;
-    while ((urlMatch = urlRegex.exec(styleContent)) !== null) {
-      const urlPath = urlMatch[1];
-      if (this.isLocalFile(urlPath)) {
-        const resolvedPath = this.resolveAlias(urlPath, aliasConfig, baseDir);
-        dependencies.push(resolvedPath);
-      }
-    }
+  /**
+   * 获取依赖树的最大深度：每个文件只在距入口最近处展开，因此为展开的文件中最深的一层依赖所在的层数
+   */
+  getGraphTreeDepth(graph, entryDepths, maxDepth, includeAsync = true) {
+    let treeDepth = 0;
+    entryDepths.forEach(depths => {
+      depths.forEach((depth, file) => {
+        if (this.getGraphTreeEdges(graph, file, depth, maxDepth, includeAsync).length > 0) {
+          treeDepth = Math.max(treeDepth, depth + 1);
+        }
+      });
+    });
+    return treeDepth;
+  }
 
-    return dependencies;
+  /**
+   * 将各入口可达范围内的依赖边整理为findGraphCycles使用的邻接表 Map<file, {file, kind, source, importKind, line}[]>
+   * 只包含依赖树中会展开的文件发出的边
+   */
+  getGraphCycleMap(graph, entryDepths, maxDepth, includeAsync = true) {
+    const minDepths = new Map();
+    entryDepths.forEach(depths => {
+      depths.forEach((depth, file) => {
+        minDepths.set(file, minDepths.has(file) ? Math.min(minDepths.get(file), depth) : depth);
+      });
+    });
+    const cycleMap = new Map();
+    minDepths.forEach((depth, file) => {
+      const edges = this.getGraphTreeEdges(graph, file, depth, maxDepth, includeAsync)
+        .filter(edge => this.isTraversableEdge(edge, includeAsync) && minDepths.has(edge.to));
+      cycleMap.set(file, edges.map(edge => ({
+        file: edge.to,
+        kind: edge.kind,
+        source: edge.source,
+        importKind: edge.importKind,
+        line: edge.line,
+      })));
+    });
+    return cycleMap;
   }
 
   /**
-   * 判断是否为本地文件
+   * 在邻接表中查找循环依赖并记录到cycles，返回是否因达到maxCycles而截断
    */
-  isLocalFile(filePath) {
-    // 排除HTTP URL、node_modules包、绝对URL等
-    // 但包含以~开头的webpack别名路径
-    if (filePath.startsWith('~')) {
-      return true; // ~开头的路径通常是webpack别名，应该被处理
-    }
-    
-    return !filePath.startsWith('http') && 
-           !filePath.startsWith('//') && 
-           !filePath.startsWith('data:') && 
-           !/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(filePath) &&
-           !filePath.includes('node_modules');
+  recordGraphCycles(cycles, cycleMap, baseDir, maxCycles = 100) {
+    const found = this.findGraphCycles(cycleMap, maxCycles);
+    found.cycles.forEach(cycle => {
+      const edges = cycle.edges.map((edge, i) => ({
+        from: cycle.files[i],
+        to: edge.file,
+        kind: edge.kind,
+        source: edge.source,
+        importKind: edge.importKind,
+        line: edge.line,
+      }));
+      this.recordCycle(cycles, cycle.files, edges, baseDir);
+    });
+    return found.truncated;
   }
 
   /**
-   * 递归分析依赖树
+   * 共享依赖分析（find_shared_dependencies工具）
+   * 将一组入口（要拆分的模块）与其他入口（默认为应用入口main.*与路由视图）可达的文件分为：
+   * exclusive（只被该组使用，可直接移走）、shared（两边都使用，需要复制或抽成公共包）、outsideOnly（只被其他入口使用）
    */
-  async analyzeDependencyTree(args) {
+  async findSharedDependencies(args) {
     try {
-      const { filePath, aliasConfig = {}, baseDir = process.cwd(), maxDepth = 10 } = args;
+      const options = this.resolveToolOptions(args);
+      const {
+        filePath,
+        filePaths = [],
+        aliasConfig: explicitAliasConfig,
+        baseDir,
+        maxDepth,
+        autoDetectAliases,
+        includeAsync,
+        exclude,
+        routerFiles
+      } = options;
+      const { outsideEntries: outsidePatterns = [] } = args;
 
-      if (!filePath) {
-        throw new McpError(ErrorCode.InvalidParams, 'filePath参数是必需的');
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+      const { entryFiles, unmatchedPatterns } = this.resolveEntryFiles(filePath, filePaths, baseDir, exclude);
+
+      // 其他入口：显式传入的outsideEntries，否则为应用入口（全局注册的组件、指令、过滤器与全局属性从这里引入）
+      // 以及路由配置中不属于该组的视图组件
+      let outsideFiles;
+      let outsideSource;
+      if (outsidePatterns.length > 0) {
+        const outside = this.resolveEntryFiles(null, outsidePatterns, baseDir, exclude);
+        outsideFiles = outside.entryFiles;
+        unmatchedPatterns.push(...outside.unmatchedPatterns);
+        outsideSource = 'outsideEntries';
+      } else {
+        const { routes } = this.collectRoutes(baseDir, aliasConfig, routerFiles);
+        const appEntries = this.getAppEntryCandidates(baseDir);
+        const routeViews = this.flattenRoutes(routes).flatMap(route => this.getRouteComponentFiles(route));
+        outsideFiles = [...new Set([...appEntries, ...routeViews])]
+          .filter(file => fs.existsSync(file) && !this.isExcludedFile(file, baseDir, exclude));
+        outsideSource = 'default';
+      }
+      outsideFiles = outsideFiles.filter(file => !entryFiles.includes(file));
+      if (outsideFiles.length === 0) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          outsideSource === 'default'
+            ? '没有找到应用入口或路由视图，请通过outsideEntries指定项目其他部分的入口文件'
+            : 'outsideEntries没有匹配到该组以外的入口文件'
+        );
       }
 
-      const visited = new Set();
-      const circularDeps = new Set();
-      const dependencyTree = await this.buildDependencyTree(
-        filePath, aliasConfig, baseDir, visited, circularDeps, 0, maxDepth
+      // 所有入口共用一个依赖图，再分别计算每个入口的可达文件
+      const startTime = Date.now();
+      const parseCache = this.openParseCache(baseDir, aliasConfig, options);
+      const graph = await this.buildDependencyGraph(
+        [...entryFiles, ...outsideFiles], aliasConfig, baseDir, maxDepth, { ...this.getTreeOptions(options), parseCache }
       );
+      this.saveParseCache(parseCache);
+
+      // 其他入口经由路由等引用到该组入口时不再继续展开，否则该组的全部依赖都会变成shared
+      const usage = new Map();
+      const groupFiles = new Set(entryFiles);
+      const addUsage = (entryFile, side) => {
+        const blockedFiles = side === 'outside' ? groupFiles : new Set();
+        for (const file of this.getGraphReachableFiles(graph, entryFile, maxDepth, includeAsync, blockedFiles)) {
+          if (!usage.has(file)) {
+            usage.set(file, { inside: [], outside: [] });
+          }
+          usage.get(file)[side].push(entryFile);
+        }
+      };
+      entryFiles.forEach(entryFile => addUsage(entryFile, 'inside'));
+      outsideFiles.forEach(entryFile => addUsage(entryFile, 'outside'));
 
-      // 收集所有依赖文件
-      const allDependencies = this.flattenDependencyTree(dependencyTree);
+      const exclusive = [];
+      const shared = [];
+      const outsideOnly = [];
+      [...usage.keys()].sort().forEach(file => {
+        const { inside, outside } = usage.get(file);
+        const item = {
+          file,
+          relativePath: path.relative(baseDir, file),
+          type: this.getGraphFileType(file),
+          size: fs.statSync(file).size,
+        };
+        if (inside.length > 0 && outside.length > 0) {
+          shared.push({ ...item, entries: inside, outsideEntries: outside });
+        } else if (inside.length > 0) {
+          exclusive.push({ ...item, entries: inside });
+        } else {
+          outsideOnly.push({ ...item, outsideEntries: outside });
+        }
+      });
 
+      const totalSize = items => items.reduce((sum, item) => sum + item.size, 0);
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
               success: true,
-              entryFile: this.resolvePath(filePath, baseDir),
-              dependencyTree,
-              allFiles: [...allDependencies],
+              entryFiles,
+              outsideEntries: { source: outsideSource, files: outsideFiles },
+              unmatchedPatterns,
+              exclusive,
+              shared,
+              outsideOnly,
+              aliases,
               summary: {
-                totalFiles: allDependencies.size,
-                maxDepth: this.getTreeDepth(dependencyTree),
-                circularDependencies: [...circularDeps],
-                hasCircularDeps: circularDeps.size > 0,
+                entryCount: entryFiles.length,
+                outsideEntryCount: outsideFiles.length,
+                exclusiveCount: exclusive.length,
+                sharedCount: shared.length,
+                outsideOnlyCount: outsideOnly.length,
+                exclusiveSize: totalSize(exclusive),
+                sharedSize: totalSize(shared),
+                timings: this.getGraphTimings(graph, startTime),
+                cache: this.getParseCacheStats(parseCache),
               },
             }, null, 2),
           },
@@ -1033,114 +6721,227 @@ class VueParserServer {
       }
       throw new McpError(
         ErrorCode.InternalError,
-        `分析依赖树时发生错误: ${error.message}`
+        `分析共享依赖时发生错误: ${error.message}`
       );
     }
   }
 
   /**
-   * 复制Vue文件及其依赖
+   * 将依赖路径解析为实际文件
+   * 别名解析后的相对路径基于引用文件所在目录，并尝试补全扩展名
    */
-  async copyVueDependencies(args) {
-    try {
-      const { 
-        filePath, 
-        targetDir = 'output', // 默认复制到output目录
-        aliasConfig = {}, 
-        baseDir = process.cwd(), 
-        includeNodeModules = false 
-      } = args;
+  resolveDependencyPath(depPath, fromFile, aliasConfig, baseDir, extensions = []) {
+    const resolvedDepPath = this.resolveAlias(depPath, aliasConfig, baseDir);
+    const fullDepPath = path.isAbsolute(resolvedDepPath)
+      ? resolvedDepPath
+      : path.resolve(path.dirname(fromFile), resolvedDepPath);
+    const actualFilePath = this.resolveFileWithExtensions(
+      fullDepPath,
+      [...DEFAULT_RESOLVE_EXTENSIONS, ...extensions]
+    );
+    return { fullDepPath, actualFilePath };
+  }
 
-      if (!filePath) {
-        throw new McpError(
-          ErrorCode.InvalidParams, 
-          'filePath参数是必需的'
-        );
+  /**
+   * 获取单个文件解析后的直接依赖
+   * 返回 [{ file, kind, dynamic, source, importKind, line }]，kind为依赖所在的分类（template、component、directive、filter、global、script、style、store、async），
+   * dynamic表示该文件只作为部分动态路径的候选文件被引用；无法解析的依赖被忽略
+   */
+  async getFileDependencies(filePath, aliasConfig, baseDir, options = {}) {
+    const { extensions = [], storeEntry = null, requestCache = null, parseCache = null } = options;
+    const parsedDeps = await this.analyzeFileCached(filePath, aliasConfig, baseDir, { storeEntry, requestCache, parseCache });
+
+    const candidatePaths = new Set(parsedDeps.dynamicCandidates.flatMap(group => group.files));
+    const certainPaths = new Set(parsedDeps.scriptImports
+      .filter(dep => dep.kind !== 'dynamic-candidate')
+      .map(dep => dep.path));
+
+    const edges = new Map();
+    for (const kind of ['template', 'component', 'directive', 'filter', 'global', 'script', 'style', 'store', 'async']) {
+      for (const depPath of parsedDeps.dependencies[kind]) {
+        const { actualFilePath } = this.resolveDependencyPath(depPath, filePath, aliasConfig, baseDir, extensions);
+        if (!actualFilePath || actualFilePath === filePath) {
+          continue;
+        }
+        const dynamic = candidatePaths.has(depPath) && !certainPaths.has(depPath);
+        if (edges.has(actualFilePath)) {
+          // 同一文件只要有一处确定的引用，就不再视为动态候选
+          edges.get(actualFilePath).dynamic = edges.get(actualFilePath).dynamic && dynamic;
+        } else {
+          const { source, importKind, line } = this.getDependencyEdgeInfo(parsedDeps, depPath, kind);
+          edges.set(actualFilePath, { file: actualFilePath, kind, dynamic, source, importKind, line });
+        }
       }
+    }
+    return [...edges.values()];
+  }
 
-      // 确保目标目录存在（支持相对路径和绝对路径）
-      const resolvedTargetDir = path.isAbsolute(targetDir) ? targetDir : path.resolve(baseDir, targetDir);
-      if (!fs.existsSync(resolvedTargetDir)) {
-        fs.mkdirSync(resolvedTargetDir, { recursive: true });
+  /**
+   * 列出项目中需要建立索引的源文件
+   * 跳过node_modules、.git、dist、build、coverage、output等目录以及exclude命中的文件
+   */
+  listProjectSourceFiles(baseDir, exclude = [], extensions = []) {
+    const ignoredDirs = ['node_modules', '.git', 'dist', 'build', 'coverage', 'output'];
+    const sourceExtensions = [...DEFAULT_RESOLVE_EXTENSIONS, ...extensions];
+    const files = [];
+
+    const walkDir = (dir) => {
+      let items = [];
+      try {
+        items = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+      for (const item of items) {
+        const fullPath = path.join(dir, item.name);
+        if (item.isDirectory()) {
+          if (!ignoredDirs.includes(item.name) && !item.name.startsWith('.')) {
+            walkDir(fullPath);
+          }
+        } else if (item.isFile() && sourceExtensions.includes(path.extname(item.name).toLowerCase())) {
+          if (!this.isExcludedFile(fullPath, baseDir, exclude)) {
+            files.push(fullPath);
+          }
+        }
       }
+    };
 
-      // 首先解析Vue文件依赖，获取store文件列表（只对主文件查找路由信息）
-      const parseResult = await this.parseVueDependencies({
-        filePath, aliasConfig, baseDir, outputDir: resolvedTargetDir, findRoutes: true
-      });
-      const parseData = JSON.parse(parseResult.content[0].text);
-      const storeFiles = parseData.dependencies.store || [];
+    walkDir(baseDir);
+    return files.sort();
+  }
 
-      // 分析依赖树
-      const visited = new Set();
-      const circularDeps = new Set();
-      const dependencyTree = await this.buildDependencyTree(
-        filePath, aliasConfig, baseDir, visited, circularDeps, 0, 10
-      );
+  /**
+   * 为项目中的所有源文件建立依赖索引
+   * 返回正向依赖（dependencies）与反向依赖（dependents）：文件 -> [{ file, kind }]
+   */
+  async buildProjectIndex(baseDir, aliasConfig, options = {}) {
+    const { exclude = [], extensions = [], concurrency = 8 } = options;
+    const files = this.listProjectSourceFiles(baseDir, exclude, extensions);
+    const dependencies = new Map();
+    const dependents = new Map();
+    const errors = [];
+    const requestCache = new Map();
+    const parseCache = this.openParseCache(baseDir, aliasConfig, options);
 
-      // 收集所有需要复制的文件（包括依赖树文件和store文件）
-      const dependencyFiles = this.flattenDependencyTree(dependencyTree);
-      const allFiles = [...new Set([...dependencyFiles, ...storeFiles])];
-      const copiedFiles = [];
-      const errors = [];
+    // 并发解析所有文件，结果按文件顺序汇总
+    const results = await this.runConcurrent(files, concurrency, async (file) => {
+      try {
+        return await this.getFileDependencies(file, aliasConfig, baseDir, { ...options, requestCache, parseCache });
+      } catch (error) {
+        errors.push({ file, error: error.message });
+        return [];
+      }
+    });
+    files.forEach((file, i) => {
+      const edges = results[i];
+      dependencies.set(file, edges);
+      for (const edge of edges) {
+        if (!dependents.has(edge.file)) {
+          dependents.set(edge.file, []);
+        }
+        dependents.get(edge.file).push({ file, kind: edge.kind });
+      }
+    });
+    this.saveParseCache(parseCache);
+
+    return { files, dependencies, dependents, errors, cache: this.getParseCacheStats(parseCache) };
+  }
+
+  /**
+   * 查找引用指定文件的所有文件（find_dependents工具）
+   * 按深度分组返回直接与间接引用者，并列出最终依赖该文件的路由入口视图
+   */
+  async findDependents(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const {
+        filePath,
+        aliasConfig: explicitAliasConfig,
+        baseDir,
+        autoDetectAliases,
+        includeAsync,
+        routerFiles
+      } = options;
+      const maxDepth = args.maxDepth !== undefined ? args.maxDepth : Infinity;
 
-      // 复制主文件
-      const mainFile = this.resolvePath(filePath, baseDir);
-      if (fs.existsSync(mainFile)) {
-        const relativePath = path.relative(baseDir, mainFile);
-        const targetPath = path.join(resolvedTargetDir, relativePath);
-        await this.copyFileWithDir(mainFile, targetPath);
-        copiedFiles.push({ source: mainFile, target: targetPath });
+      if (!filePath) {
+        throw new McpError(ErrorCode.InvalidParams, 'filePath参数是必需的');
       }
 
-      // 复制所有依赖文件
-      for (const depFile of allFiles) {
-        try {
-          if (!includeNodeModules && depFile.includes('node_modules')) {
-            continue;
-          }
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+      const targetFile = this.resolvePath(filePath, baseDir);
+      if (!fs.existsSync(targetFile)) {
+        throw new McpError(ErrorCode.InvalidParams, `文件不存在: ${targetFile}`);
+      }
 
-          // 使用优化的文件检查
-          const fileInfo = this.checkFileExists(depFile);
-          
-          if (fileInfo.exists && fileInfo.isFile) {
-            const relativePath = path.relative(baseDir, depFile);
-            const targetPath = path.join(resolvedTargetDir, relativePath);
-            await this.copyFileWithDir(depFile, targetPath);
-            copiedFiles.push({ 
-              source: depFile, 
-              target: targetPath,
-              relativePath,
-              size: fileInfo.size,
-              mtime: fileInfo.mtime
-            });
-          } else {
-            errors.push({ 
-              file: depFile, 
-              error: fileInfo.exists ? '不是文件' : '文件不存在',
-              details: fileInfo.error
-            });
+      const index = await this.buildProjectIndex(baseDir, aliasConfig, options);
+
+      // 广度优先查找引用者，depth为距目标文件的层数
+      const depthOf = new Map([[targetFile, 0]]);
+      const dependentsByDepth = [];
+      let frontier = [targetFile];
+      for (let depth = 1; frontier.length > 0 && depth <= maxDepth; depth++) {
+        const levelFiles = new Map();
+        for (const file of frontier) {
+          for (const importer of index.dependents.get(file) || []) {
+            if (!includeAsync && importer.kind === 'async') {
+              continue;
+            }
+            if (depthOf.has(importer.file)) {
+              continue;
+            }
+            if (!levelFiles.has(importer.file)) {
+              levelFiles.set(importer.file, []);
+            }
+            levelFiles.get(importer.file).push({ imports: file, kind: importer.kind });
           }
-        } catch (copyError) {
-          errors.push({ file: depFile, error: copyError.message });
+        }
+        levelFiles.forEach((via, file) => depthOf.set(file, depth));
+        if (levelFiles.size > 0) {
+          dependentsByDepth.push({
+            depth,
+            files: [...levelFiles.entries()].map(([file, via]) => ({ file, via })),
+          });
+        }
+        frontier = [...levelFiles.keys()];
+      }
+
+      // 依赖目标文件的路由入口视图（包括目标文件本身）
+      const routeEntries = [];
+      const { routes } = this.collectRoutes(baseDir, aliasConfig, routerFiles);
+      const flatRoutes = this.flattenRoutes(routes);
+      for (const [file, depth] of depthOf) {
+        const matchedRoutes = flatRoutes.filter(route => this.getRouteComponentFiles(route).includes(file));
+        if (matchedRoutes.length > 0) {
+          routeEntries.push({
+            file,
+            depth,
+            routes: matchedRoutes.map(route => ({ fullPath: route.fullPath, name: route.name, routeFile: route.routeFile })),
+          });
         }
       }
 
+      const allDependents = dependentsByDepth.flatMap(level => level.files.map(item => item.file));
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
               success: true,
-              sourceFile: mainFile,
-              targetDir: resolvedTargetDir,
-              copiedFiles,
-              skippedFiles: errors,
+              targetFile,
+              directDependents: dependentsByDepth.length > 0 ? dependentsByDepth[0].files : [],
+              dependentsByDepth,
+              allDependents,
+              routeEntries,
+              errors: index.errors,
+              aliases,
               summary: {
-                copiedCount: copiedFiles.length,
-                skippedCount: errors.length,
-                totalSize: copiedFiles.reduce((sum, file) => sum + (file.size || 0), 0),
-                includeNodeModules,
+                indexedFiles: index.files.length,
+                directDependents: dependentsByDepth.length > 0 ? dependentsByDepth[0].files.length : 0,
+                totalDependents: allDependents.length,
+                maxDepth: dependentsByDepth.length,
+                routeEntries: routeEntries.length,
+                cache: index.cache,
               },
             }, null, 2),
           },
@@ -1152,148 +6953,195 @@ class VueParserServer {
       }
       throw new McpError(
         ErrorCode.InternalError,
-        `复制依赖文件时发生错误: ${error.message}`
+        `查找引用文件时发生错误: ${error.message}`
       );
     }
   }
 
   /**
-   * 构建依赖树
+   * 查找未被使用的文件（find_unused_files工具）
+   * 从main入口、路由文件与路由视图以及额外的glob入口出发计算可达文件，
+   * 报告源码目录下不可达的源文件、样式和静态资源；只能通过部分动态路径到达的文件标记为低置信度
    */
-  async buildDependencyTree(filePath, aliasConfig, baseDir, visited, circularDeps, depth, maxDepth) {
-    const resolvedPath = this.resolvePath(filePath, baseDir);
-    
-    // 检查循环依赖
-    if (visited.has(resolvedPath)) {
-      circularDeps.add(resolvedPath);
-      return { file: resolvedPath, dependencies: [], circular: true, depth };
-    }
+  async findUnusedFiles(args) {
+    try {
+      const options = this.resolveToolOptions(args);
+      const {
+        aliasConfig: explicitAliasConfig,
+        baseDir,
+        autoDetectAliases,
+        routerFiles,
+        exclude,
+        extensions
+      } = options;
+      const { entries: extraEntries = [], srcDir = 'src' } = args;
 
-    // 检查最大深度
-    if (depth >= maxDepth) {
-      return { file: resolvedPath, dependencies: [], maxDepthReached: true, depth };
-    }
+      const { aliasConfig, aliases } = this.resolveAliasConfig(explicitAliasConfig, baseDir, autoDetectAliases);
+      const sourceRoot = this.resolvePath(srcDir, baseDir);
+      if (!fs.existsSync(sourceRoot)) {
+        throw new McpError(ErrorCode.InvalidParams, `源码目录不存在: ${sourceRoot}`);
+      }
 
-    // 检查文件是否存在
-    if (!fs.existsSync(resolvedPath)) {
-      return { file: resolvedPath, dependencies: [], notFound: true, depth };
-    }
+      // 收集入口文件
+      const entries = new Map();
+      const addEntry = (file, reason) => {
+        if (file && fs.existsSync(file) && !entries.has(file)) {
+          entries.set(file, reason);
+        }
+      };
+      ['main.js', 'main.ts', 'main.jsx', 'main.tsx'].forEach(name => addEntry(path.join(sourceRoot, name), 'main'));
+      const { routeFiles, routes } = this.collectRoutes(baseDir, aliasConfig, routerFiles);
+      routeFiles.forEach(file => addEntry(file, 'router'));
+      this.flattenRoutes(routes).forEach(route => {
+        this.getRouteComponentFiles(route).forEach(file => addEntry(file, 'route'));
+      });
+      for (const pattern of extraEntries) {
+        globSync(pattern, { cwd: baseDir, absolute: true, nodir: true, ignore: '**/node_modules/**' })
+          .sort()
+          .forEach(file => addEntry(path.resolve(file), 'entry'));
+      }
+      if (entries.size === 0) {
+        throw new McpError(ErrorCode.InvalidParams, '未找到入口文件，请通过entries参数指定');
+      }
 
-    visited.add(resolvedPath);
+      // 计算可达文件：先只沿确定的引用，再加上动态路径候选
+      const parseableExtensions = [...DEFAULT_RESOLVE_EXTENSIONS, ...extensions];
+      const edgeCache = new Map();
+      const requestCache = new Map();
+      const parseCache = this.openParseCache(baseDir, aliasConfig, options);
+      const errors = [];
+      const getEdges = async (file) => {
+        if (!edgeCache.has(file)) {
+          let edges = [];
+          if (parseableExtensions.includes(path.extname(file).toLowerCase())) {
+            try {
+              edges = await this.getFileDependencies(file, aliasConfig, baseDir, { ...options, requestCache, parseCache });
+            } catch (error) {
+              errors.push({ file, error: error.message });
+            }
+          }
+          edgeCache.set(file, edges);
+        }
+        return edgeCache.get(file);
+      };
+      const traverse = async (startFiles, followDynamic) => {
+        const reached = new Set(startFiles);
+        const queue = [...startFiles];
+        while (queue.length > 0) {
+          const file = queue.shift();
+          for (const edge of await getEdges(file)) {
+            if ((edge.dynamic && !followDynamic) || reached.has(edge.file)) {
+              continue;
+            }
+            reached.add(edge.file);
+            queue.push(edge.file);
+          }
+        }
+        return reached;
+      };
+      const certainReached = await traverse([...entries.keys()], false);
+      const possibleReached = await traverse([...certainReached], true);
+      this.saveParseCache(parseCache);
 
-    try {
-      // 解析当前文件的依赖（不查找路由信息）
-      const deps = await this.parseVueDependencies({
-        filePath: resolvedPath,
-        aliasConfig,
-        baseDir,
-        findRoutes: false
-      });
+      // 只有动态候选指向的文件，记录引用它们的文件
+      const dynamicImporters = new Map();
+      for (const [file, edges] of edgeCache) {
+        if (!possibleReached.has(file)) {
+          continue;
+        }
+        edges
+          .filter(edge => edge.dynamic && !certainReached.has(edge.file))
+          .forEach(edge => {
+            if (!dynamicImporters.has(edge.file)) {
+              dynamicImporters.set(edge.file, []);
+            }
+            dynamicImporters.get(edge.file).push(file);
+          });
+      }
 
-      const parsedDeps = JSON.parse(deps.content[0].text);
-      const allFileDeps = [
-        ...parsedDeps.dependencies.template,
-        ...parsedDeps.dependencies.script,
-        ...parsedDeps.dependencies.style,
-        ...parsedDeps.dependencies.store
-      ];
+      const unusedFiles = this.listFilesInDirectory(sourceRoot)
+        // 类型声明文件不会被import，不作为未使用文件报告
+        .filter(file => !file.endsWith('.d.ts'))
+        .filter(file => !certainReached.has(file) && !this.isExcludedFile(file, baseDir, exclude))
+        .map(file => {
+          // 与依赖图节点使用相同的文件类型
+          const type = this.getGraphFileType(file);
+          const dynamicOnly = possibleReached.has(file);
+          return {
+            file,
+            relativePath: path.relative(baseDir, file),
+            type,
+            size: fs.statSync(file).size,
+            confidence: dynamicOnly ? 'low' : 'high',
+            ...(dynamicOnly ? { dynamicImporters: dynamicImporters.get(file) || [] } : {}),
+          };
+        });
 
-      const dependencies = [];
-      
-      // 递归处理每个依赖
-       for (const depPath of allFileDeps) {
-         try {
-           const resolvedDepPath = this.resolveAlias(depPath, aliasConfig, baseDir);
-           let fullDepPath;
-           
-           if (path.isAbsolute(resolvedDepPath)) {
-             fullDepPath = resolvedDepPath;
-           } else {
-             fullDepPath = path.resolve(path.dirname(resolvedPath), resolvedDepPath);
-           }
-
-           // 尝试解析文件（支持多种扩展名）
-           const actualFilePath = this.resolveFileWithExtensions(fullDepPath);
-           
-           if (actualFilePath) {
-             // 检查文件信息
-             const fileInfo = this.checkFileExists(actualFilePath);
-             
-             if (fileInfo.exists && fileInfo.isFile && this.isSupportedFile(actualFilePath)) {
-               const childTree = await this.buildDependencyTree(
-                 actualFilePath, aliasConfig, baseDir, new Set(visited), circularDeps, depth + 1, maxDepth
-               );
-               dependencies.push(childTree);
-             } else {
-               dependencies.push({ 
-                 file: actualFilePath, 
-                 dependencies: [], 
-                 leaf: true, 
-                 depth: depth + 1,
-                 fileInfo 
-               });
-             }
-           } else {
-             dependencies.push({ 
-               file: fullDepPath, 
-               dependencies: [], 
-               notFound: true, 
-               depth: depth + 1,
-               originalPath: depPath
-             });
-           }
-         } catch (error) {
-           dependencies.push({ 
-             file: depPath, 
-             dependencies: [], 
-             error: error.message, 
-             depth: depth + 1 
-           });
-         }
-       }
-
-      visited.delete(resolvedPath);
-      return { file: resolvedPath, dependencies, depth };
+      const countByType = type => unusedFiles.filter(item => item.type === type).length;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              sourceRoot,
+              entries: [...entries].map(([file, reason]) => ({ file, reason })),
+              unusedFiles,
+              errors,
+              aliases,
+              summary: {
+                entries: entries.size,
+                reachableFiles: certainReached.size,
+                unusedFiles: unusedFiles.length,
+                unusedVueFiles: countByType('vue'),
+                unusedScriptFiles: countByType('script'),
+                unusedStyleFiles: countByType('style'),
+                unusedAssetFiles: countByType('asset'),
+                unusedOtherFiles: countByType('other'),
+                lowConfidenceFiles: unusedFiles.filter(item => item.confidence === 'low').length,
+                totalUnusedSize: unusedFiles.reduce((sum, item) => sum + item.size, 0),
+                cache: this.getParseCacheStats(parseCache),
+              },
+            }, null, 2),
+          },
+        ],
+      };
     } catch (error) {
-      visited.delete(resolvedPath);
-      return { file: resolvedPath, dependencies: [], error: error.message, depth };
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `查找未使用文件时发生错误: ${error.message}`
+      );
     }
   }
 
   /**
-   * 扁平化依赖树，收集所有文件路径
+   * 复制文件并创建必要的目录
    */
-  flattenDependencyTree(tree) {
-    const files = new Set();
-    
-    const traverse = (node) => {
-      if (node.file) {
-        files.add(node.file);
-      }
-      if (node.dependencies && Array.isArray(node.dependencies)) {
-        node.dependencies.forEach(traverse);
-      }
-    };
+  async copyFileWithDir(sourcePath, targetPath) {
+    const targetDir = path.dirname(targetPath);
     
-    traverse(tree);
-    return files;
-  }
-
-  /**
-   * 获取依赖树的最大深度
-   */
-  getTreeDepth(tree) {
-    if (!tree.dependencies || tree.dependencies.length === 0) {
-      return tree.depth || 0;
+    // 确保目标目录存在
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
     }
     
-    return Math.max(...tree.dependencies.map(dep => this.getTreeDepth(dep)));
+    // 复制文件
+    try {
+      fs.copyFileSync(sourcePath, targetPath);
+    } catch (error) {
+      console.error(`❌ 复制失败: ${sourcePath} -> ${targetPath}`);
+      console.error(`错误: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
-   * 复制文件并创建必要的目录
+   * 写入文件内容并创建必要的目录（搬迁复制时写入改写后的文件）
    */
-  async copyFileWithDir(sourcePath, targetPath) {
+  async writeFileWithDir(targetPath, content) {
     const targetDir = path.dirname(targetPath);
     
     // 确保目标目录存在
@@ -1301,11 +7149,10 @@ class VueParserServer {
       fs.mkdirSync(targetDir, { recursive: true });
     }
     
-    // 复制文件
     try {
-      fs.copyFileSync(sourcePath, targetPath);
+      fs.writeFileSync(targetPath, content, 'utf-8');
     } catch (error) {
-      console.error(`❌ 复制失败: ${sourcePath} -> ${targetPath}`);
+      console.error(`❌ 写入失败: ${targetPath}`);
       console.error(`错误: ${error.message}`);
       throw error;
     }